@@ -0,0 +1,72 @@
+/**
+ * @file        address-filter.js
+ *              Utility code for deciding whether a peer address is allowed to connect,
+ *              based on lists of CIDR blocks.
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const net = require('net');
+
+/**
+ * Build a BlockList from an array of CIDR blocks (e.g. '10.0.0.0/8', 'fd00::/8') or bare
+ * addresses, which are treated as /32 or /128.
+ */
+function blockListFactory(cidrs)
+{
+  const blockList = new net.BlockList();
+
+  for (let cidr of cidrs)
+  {
+    const [ address, prefix ] = String(cidr).trim().split('/');
+    const family = net.isIP(address);
+
+    if (!family)
+      throw new Error(`invalid address in CIDR block ${cidr}`);
+    if (prefix === undefined)
+      blockList.addAddress(address, `ipv${family}`);
+    else
+    {
+      if (!/^[0-9]+$/.test(prefix))
+        throw new Error(`invalid prefix length in CIDR block ${cidr}`);
+      blockList.addSubnet(address, Number(prefix), `ipv${family}`);
+    }
+  }
+
+  return blockList;
+}
+
+/**
+ * Create a function which decides whether a peer address may connect. Addresses on the deny list
+ * are always refused; when there is an allow list, only the addresses on it are accepted. IPv4
+ * peers on dual-stack sockets (::ffff:a.b.c.d) are checked as IPv4.
+ *
+ * @param {Array}       allow           CIDR blocks to accept; falsey or empty to accept everybody
+ * @param {Array}       deny            CIDR blocks to refuse; falsey or empty to refuse nobody
+ *
+ * @returns function(address) which returns true when the address may connect
+ */
+exports.addressFilter = function addressFilter(allow, deny)
+{
+  const allowList = allow && allow.length ? blockListFactory(allow) : false;
+  const denyList  = deny  && deny.length  ? blockListFactory(deny)  : false;
+
+  return function isAddressAllowed(address)
+  {
+    var family;
+
+    if (/^::ffff:[0-9.]+$/i.test(address))
+      address = address.slice(7);
+    family = `ipv${net.isIP(address)}`;
+    if (family === 'ipv0')
+      return false;
+
+    if (denyList && denyList.check(address, family))
+      return false;
+    if (allowList && !allowList.check(address, family))
+      return false;
+
+    return true;
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * @file        audit.js
+ *              Audit trail for the Telnet Console: a record of who logged in, and what they ran.
+ *              Records are appended to a file, one JSON object per line. Appends are synchronous, so that
+ *              records are not lost when a command ends the process.
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const fs = require('fs');
+const debug = require('debug');
+const { expandPath } = require('./expand-path');
+
+/**
+ * Create an audit trail which appends records to a JSONL file. The file is created with mode 0600
+ * if it does not exist. Errors writing the file are reported once, on the console, and otherwise
+ * ignored; auditing should not take the program down.
+ *
+ * @param {string}      filename        the file to append to; understands ~. Falsey to not write a file.
+ */
+function AuditTrail(filename)
+{
+  if (!filename)
+    return;
+
+  this.filename = expandPath(filename);
+  try
+  {
+    this.fd = fs.openSync(this.filename, 'a', 0o600);
+  }
+  catch(error)
+  {
+    this.error(error);
+  }
+}
+exports.AuditTrail = AuditTrail;
+
+/** Report an error writing the audit trail, the first time */
+AuditTrail.prototype.error = function AuditTrail$$error(error)
+{
+  debug('telnet-console:audit')('error writing', this.filename, error);
+  if (!this.warned)
+    console.warn(` * Warning: could not write audit trail ${this.filename}: ${error.message}`);
+  this.warned = true;
+}
+
+/** Append a record to the audit trail; it is on disk (or in the OS's buffers) when this returns */
+AuditTrail.prototype.write = function AuditTrail$$write(record)
+{
+  if (this.fd === undefined)
+    return;
+
+  try
+  {
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+  }
+  catch(error)
+  {
+    this.error(error);
+  }
+}
+
+/**
+ * Close the audit trail file.
+ * @returns a Promise which resolves once the file has been closed
+ */
+AuditTrail.prototype.close = function AuditTrail$$close()
+{
+  const fd = this.fd;
+
+  this.fd = undefined;
+  if (fd === undefined)
+    return Promise.resolve();
+
+  return new Promise((resolve) => fs.close(fd, () => resolve()));
+}
@@ -0,0 +1,292 @@
+/**
+ * @file        auth.js
+ *              Authentication providers for the Telnet Console, plus code for hashing and
+ *              verifying passwords.
+ *
+ *              Password hashes are strings in one of the following formats; salt and hash are base64:
+ *              - $scrypt$ln=<log2 N>,r=<r>,p=<p>$<salt>$<hash>
+ *              - $pbkdf2-<digest>$<iterations>$<salt>$<hash>
+ *              Anything else is treated as a plaintext password.
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const util = require('util');
+const debug = require('debug');
+const { expandPath } = require('./expand-path');
+
+const scrypt = util.promisify(crypto.scrypt);
+const pbkdf2 = util.promisify(crypto.pbkdf2);
+
+/**
+ * Hash a password for storage in the users option or a users file.
+ *
+ * @param {string}      password        the password to hash
+ * @param {string}      scheme          'scrypt' (default) or 'pbkdf2'
+ *
+ * @returns a Promise which resolves to the hash string
+ */
+exports.hashPassword = async function auth$$hashPassword(password, scheme)
+{
+  const salt = crypto.randomBytes(16);
+
+  switch (scheme || 'scrypt')
+  {
+    case 'scrypt':
+    {
+      const ln = 14, r = 8, p = 1;
+      const hash = await scrypt(password, salt, 32, scryptOptions(ln, r, p));
+      return `$scrypt$ln=${ln},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+    case 'pbkdf2':
+    {
+      const iterations = 600000;
+      const hash = await pbkdf2(password, salt, iterations, 32, 'sha256');
+      return `$pbkdf2-sha256$${iterations}$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+    default:
+      throw new Error(`unknown password hash scheme ${scheme}`);
+  }
+}
+
+/**
+ * Check a password against a stored password, which is either a hash made by hashPassword() or
+ * a plaintext password.
+ *
+ * @returns a Promise which resolves to true when the password matches
+ */
+exports.verifyPassword = async function auth$$verifyPassword(password, stored)
+{
+  var match, hash;
+
+  if (typeof password !== 'string' || typeof stored !== 'string')
+    return false;
+
+  if ((match = /^\$scrypt\$ln=([0-9]+),r=([0-9]+),p=([0-9]+)\$([^$]+)\$([^$]+)$/.exec(stored)))
+  {
+    const [ , ln, r, p, salt, expected ] = match;
+    const expectedBuf = Buffer.from(expected, 'base64');
+    hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuf.length, scryptOptions(+ln, +r, +p));
+    return timingSafeEqual(hash, expectedBuf);
+  }
+
+  if ((match = /^\$pbkdf2-([a-z0-9-]+)\$([0-9]+)\$([^$]+)\$([^$]+)$/.exec(stored)))
+  {
+    const [ , digest, iterations, salt, expected ] = match;
+    const expectedBuf = Buffer.from(expected, 'base64');
+    hash = await pbkdf2(password, Buffer.from(salt, 'base64'), +iterations, expectedBuf.length, digest);
+    return timingSafeEqual(hash, expectedBuf);
+  }
+
+  return timingSafeEqual(Buffer.from(password), Buffer.from(stored));
+}
+
+function scryptOptions(ln, r, p)
+{
+  const N = Math.pow(2, ln);
+  return { N, r, p, maxmem: 256 * N * r };
+}
+
+function timingSafeEqual(a, b)
+{
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Parse the contents of a users file. Each line holds login:password, where password is a hash
+ * made by hashPassword() or a plaintext password. Blank lines and lines starting with # are ignored.
+ *
+ * @returns an object whose keys are logins and values are passwords
+ */
+function parseUsersFile(text, filename)
+{
+  const users = {};
+
+  text.split(/\r?\n/).forEach((line, idx) => {
+    const colon = line.indexOf(':');
+
+    if (/^\s*(#|$)/.test(line))
+      return;
+    if (colon < 1)
+      throw new Error(`${filename}:${idx + 1}: expected login:password`);
+    users[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+  });
+
+  return users;
+}
+
+/**
+ * Create an auth provider which checks logins against an object whose keys are logins and values
+ * are password hashes or plaintext passwords.
+ */
+function usersMapProvider(users)
+{
+  return function usersMapAuth(login, password)
+  {
+    if (!Object.prototype.hasOwnProperty.call(users, login))
+      return false;
+    return exports.verifyPassword(password, users[login]);
+  }
+}
+
+/**
+ * Create an auth provider which checks logins against a users file (see parseUsersFile). The file
+ * is read right away, so that configuration errors surface at start-up, and is read again whenever
+ * it changes. When a changed file can't be read or parsed, the previous contents stay in effect.
+ */
+function usersFileProvider(filename)
+{
+  var users;
+
+  filename = expandPath(filename);
+  users = parseUsersFile(fs.readFileSync(filename, 'utf8'), filename);
+
+  async function reload(curr, prev)
+  {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size)
+      return;
+
+    try
+    {
+      users = parseUsersFile(await fs.promises.readFile(filename, 'utf8'), filename);
+      debug('telnet-console:auth')('reloaded', filename);
+    }
+    catch(error)
+    {
+      console.warn(` * Warning: could not reload users file ${filename}: ${error.message}`);
+    }
+  }
+  fs.watchFile(filename, { persistent: false, interval: 2000 }, reload);
+
+  function usersFileAuth(login, password)
+  {
+    return usersMapProvider(users)(login, password);
+  }
+  usersFileAuth.close = () => fs.unwatchFile(filename, reload);
+
+  return usersFileAuth;
+}
+
+/**
+ * Create an authentication function from the users option. The option may be
+ * - a function(login, password, client) which returns true, or a Promise which resolves to true,
+ *   for a valid login/password pair
+ * - an object whose keys are logins and values are password hashes or plaintext passwords
+ * - the filename of a users file
+ * - an array of any of these, which are tried in order until one accepts the login
+ *
+ * A provider which throws or rejects is logged and treated as not accepting the login, so that a broken
+ * provider fails the login rather than taking the daemon down.
+ *
+ * @returns an async function(login, password, client) which resolves to true for a valid
+ *          login/password pair. Its close() method releases any resources held by the providers.
+ */
+exports.authFactory = function auth$$authFactory(users)
+{
+  const providers = [].concat(users).map((provider) => {
+    if (typeof provider === 'function')
+      return provider;
+    if (typeof provider === 'string')
+      return usersFileProvider(provider);
+    if (typeof provider === 'object' && provider !== null)
+      return usersMapProvider(provider);
+    throw new Error(`invalid users option ${provider}`);
+  });
+
+  async function authenticate(login, password, client)
+  {
+    for (let provider of providers)
+    {
+      try
+      {
+        if (await provider(login, password, client) === true)
+          return true;
+      }
+      catch(error)
+      {
+        debug('telnet-console:auth')('provider error', login, error);
+        console.warn(` * Warning: error checking the password for ${login}: ${error && error.message || error}`);
+      }
+    }
+    return false;
+  }
+  authenticate.close = function authenticate$$close()
+  {
+    for (let provider of providers)
+    {
+      if (typeof provider.close === 'function')
+        provider.close();
+    }
+  }
+
+  return authenticate;
+}
+
+/**
+ * Keep track of failed logins so that logins and peer addresses which fail too often can be locked
+ * out for a while. Failures are counted over a sliding window; a key is locked out while it has at
+ * least `maxFailures` failures in the last `windowMs` milliseconds.
+ *
+ * Keys are arbitrary strings, e.g. 'ip:10.0.0.1' or 'login:scott'.
+ *
+ * @param {number}      maxFailures     number of failures which causes a lockout; 0 to never lock out
+ * @param {number}      windowMs        length of the sliding window in milliseconds
+ */
+function LoginThrottle(maxFailures, windowMs)
+{
+  this.maxFailures = maxFailures;
+  this.windowMs = windowMs;
+  this.failures = new Map(); /* key -> array of failure times */
+}
+exports.LoginThrottle = LoginThrottle;
+
+/** Forget failures which have fallen out of the window */
+LoginThrottle.prototype.prune = function LoginThrottle$$prune(key)
+{
+  const since = Date.now() - this.windowMs;
+  const keys = key ? [ key ] : Array.from(this.failures.keys());
+
+  for (let k of keys)
+  {
+    let times = (this.failures.get(k) || []).filter((time) => time > since);
+    if (times.length)
+      this.failures.set(k, times);
+    else
+      this.failures.delete(k);
+  }
+}
+
+/**
+ * Record a failure for key.
+ * @returns true if this failure caused key to become locked out
+ */
+LoginThrottle.prototype.recordFailure = function LoginThrottle$$recordFailure(key)
+{
+  const wasLockedOut = this.isLockedOut(key);
+
+  if (this.failures.size > 10000)
+    this.prune();
+  this.failures.set(key, (this.failures.get(key) || []).concat(Date.now()));
+
+  return !wasLockedOut && this.isLockedOut(key);
+}
+
+/** @returns true if key is currently locked out */
+LoginThrottle.prototype.isLockedOut = function LoginThrottle$$isLockedOut(key)
+{
+  if (!this.maxFailures)
+    return false;
+
+  this.prune(key);
+  return (this.failures.get(key) || []).length >= this.maxFailures;
+}
+
+/** Forget every failure recorded for key */
+LoginThrottle.prototype.clear = function LoginThrottle$$clear(key)
+{
+  this.failures.delete(key);
+}
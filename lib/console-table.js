@@ -0,0 +1,131 @@
+/**
+ * @file        console-table.js
+ *              Tables for console.table(): the data is captured as strings when it is logged, and can be
+ *              laid out again later to fit a particular terminal, narrowing the widest columns and
+ *              truncating their cells as needed.
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const util = require('util');
+
+/** Width of a string on the terminal, ignoring colours */
+function textWidth(str)
+{
+  return util.stripVTControlCharacters(str).length;
+}
+
+/**
+ * Capture the data for console.table() as strings, the way Node lays it out: an index column, a column
+ * for each property of the rows (or each of the named properties), and a Values column for rows which
+ * are not objects. Maps and Sets have an iteration index column, a Key column for Maps, and a Values column.
+ *
+ * @param {*}           data            the first argument to console.table()
+ * @param {string[]}    properties      optional; the properties to show, from the second argument
+ * @param {object}      inspectOptions  options for util.inspect(), e.g. { colors: true }
+ *
+ * @returns { head, rows }, arrays of strings, or undefined when data is not an object
+ */
+exports.tabulate = function consoleTable$$tabulate(data, properties, inspectOptions)
+{
+  const inspect = (value) => {
+    const depth = (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 2) ? -1 : 0;
+    return util.inspect(value, Object.assign({}, inspectOptions, { depth, maxArrayLength: 3, breakLength: Infinity }));
+  };
+  const columns = [];   /* property names, in the order they were found */
+  const entries = [];   /* [ index, key, value ] */
+  var indexHead = '(index)', keyHead, iterable = false, hasValues = false, head, rows;
+
+  if (data === null || typeof data !== 'object')
+    return undefined;
+
+  if (data instanceof Map)
+  {
+    indexHead = '(iteration index)';
+    iterable = true;
+    keyHead = 'Key';
+    Array.from(data).forEach(([ key, value ], idx) => entries.push([ String(idx), inspect(key), value ]));
+  }
+  else if (data instanceof Set)
+  {
+    indexHead = '(iteration index)';
+    iterable = true;
+    Array.from(data).forEach((value, idx) => entries.push([ String(idx), undefined, value ]));
+  }
+  else
+    Object.keys(data).forEach((key) => entries.push([ key, undefined, data[key] ]));
+
+  for (let [ , , value ] of entries)
+  {
+    if (iterable || value === null || (typeof value !== 'object' && typeof value !== 'function'))
+      hasValues = true;
+    else if (!properties)
+    {
+      for (let prop of Object.keys(value))
+      {
+        if (!columns.includes(prop))
+          columns.push(prop);
+      }
+    }
+  }
+  if (properties && !iterable)
+    columns.push(...properties);
+
+  head = [ indexHead ].concat(keyHead ? [ keyHead ] : [], columns, hasValues ? [ 'Values' ] : []);
+  rows = entries.map(([ index, key, value ]) => {
+    const isObject = !iterable && value !== null && (typeof value === 'object' || typeof value === 'function');
+    const row = [ index ].concat(keyHead ? [ key ] : []);
+
+    for (let prop of columns)
+      row.push(isObject && Object.prototype.hasOwnProperty.call(value, prop) ? inspect(value[prop]) : '');
+    if (hasValues)
+      row.push(isObject ? '' : inspect(value));
+    return row;
+  });
+
+  return { head, rows };
+}
+
+/**
+ * Lay a table made by tabulate() out with box-drawing characters.
+ *
+ * @param {object}      table           the table
+ * @param {number}      width           optional; the width of the terminal. Columns are narrowed, widest
+ *                                      first, to fit when possible, and cells which don't fit are truncated.
+ *
+ * @returns the table as a string, without a trailing newline
+ */
+exports.renderTable = function consoleTable$$renderTable(table, width)
+{
+  const widths = table.head.map((cell, idx) => Math.max(textWidth(cell), ...table.rows.map((row) => textWidth(row[idx]))));
+  const minWidth = 3;
+
+  /* each column takes its width plus two spaces of padding and a border; there is one more border at the end */
+  while (width && widths.reduce((total, w) => total + w + 3, 1) > width)
+  {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= minWidth)
+      break;
+    widths[widest]--;
+  }
+
+  function cell(text, idx)
+  {
+    if (textWidth(text) > widths[idx])
+      text = util.stripVTControlCharacters(text).slice(0, widths[idx] - 1) + '…';
+    return ' ' + text + ' '.repeat(widths[idx] - textWidth(text) + 1);
+  }
+
+  const line = (left, middle, right) => left + widths.map((w) => '─'.repeat(w + 2)).join(middle) + right;
+  const row = (cells) => '│' + cells.map(cell).join('│') + '│';
+
+  return [
+    line('┌', '┬', '┐'),
+    row(table.head),
+    line('├', '┼', '┤'),
+    ...table.rows.map(row),
+    line('└', '┴', '┘'),
+  ].join('\n');
+}
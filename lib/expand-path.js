@@ -51,6 +51,40 @@ exports.expandPath = function utils$$sh$expandPath(pathname, homedir) {
   return path.resolve(pathname);
 }
 
+/**
+ * Resolve a filename inside a directory, refusing names which would reach outside of it, through .. or
+ * absolute paths, or through symbolic links. Files which don't exist yet are checked through the nearest
+ * directory above them which does, so that a symbolic link to a directory elsewhere can't be written through.
+ *
+ * @param {string}      dir             the directory; understands ~
+ * @param {string}      filename        the filename, relative to dir
+ * @returns the full pathname
+ */
+exports.confinePath = function utils$$sh$confinePath(dir, filename) {
+  const fs = require('fs');
+  const path = require('path');
+
+  var pathname, existing, relative;
+
+  function isOutside(relative) {
+    return relative.startsWith('..') || path.isAbsolute(relative);
+  }
+
+  dir = path.resolve(exports.expandPath(dir));
+  pathname = path.resolve(dir, filename);
+  relative = path.relative(dir, pathname);
+  if (!relative || isOutside(relative))
+    throw new Error(`${filename} is not in ${dir}`);
+
+  existing = pathname;
+  while (!fs.existsSync(existing) && existing !== dir)
+    existing = path.dirname(existing);
+  if (isOutside(path.relative(fs.realpathSync(dir), fs.realpathSync(existing))))
+    throw new Error(`${filename} is not in ${dir}`);
+
+  return pathname;
+}
+
 /** 
  * Locate a given user's home directory.  We guess on Win32 and read
  * the passwd file on Unix-like.
@@ -0,0 +1,196 @@
+/**
+ * @file        handles.js
+ *              What is keeping the event loop alive, for the handles command: servers, sockets, child
+ *              processes, watchers and timers. Node keeps running while any of these is open and ref'd.
+ *
+ *              Handles are found through process.getActiveResourcesInfo() and process._getActiveHandles().
+ *              Node has no way to list timers, nor to say where a handle was created, so a HandleTracker can
+ *              be turned on, which uses async_hooks to remember each handle and timer, with the stack it was
+ *              created from, until it is closed. Tracking costs a stack trace per handle and timer, so it is
+ *              off until asked for, and only knows about handles created after it was turned on.
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const net = require('net');
+const process = require('process');
+const async_hooks = require('async_hooks');
+const { ChildProcess } = require('child_process');
+
+/** async_hooks resource types which are tracked: handles which can keep the event loop alive, and timers */
+const trackedTypes = [ 'TCPWRAP', 'TCPSERVERWRAP', 'PIPEWRAP', 'PIPESERVERWRAP', 'TTYWRAP', 'UDPWRAP', 'PROCESSWRAP',
+                       'FSEVENTWRAP', 'STATWATCHER', 'SIGNALWRAP', 'Timeout' ];
+const stackFrames = 5; /* frames of creation stack to keep, not counting node internals */
+
+/**
+ * Create a tracker, which remembers where handles and timers were created while it is enabled.
+ */
+function HandleTracker()
+{
+  this.resources = new Map();   /* asyncId -> { type, resource, stack, created } */
+  this.byResource = new WeakMap(); /* resource -> the same */
+}
+exports.HandleTracker = HandleTracker;
+
+/** Start tracking handles and timers as they are created */
+HandleTracker.prototype.enable = function HandleTracker$$enable()
+{
+  const that = this;
+
+  if (this.hook)
+    return;
+
+  function init(asyncId, type, triggerAsyncId, resource)
+  {
+    var info;
+
+    if (!trackedTypes.includes(type))
+      return;
+    info = { type, resource, stack: creationStack(init), created: new Date() };
+    that.resources.set(asyncId, info);
+    that.byResource.set(resource, info);
+  }
+
+  function destroy(asyncId)
+  {
+    that.resources.delete(asyncId);
+  }
+
+  this.hook = async_hooks.createHook({ init, destroy });
+  this.hook.enable();
+  this.since = new Date();
+}
+
+/** Stop tracking, and forget what has been tracked */
+HandleTracker.prototype.disable = function HandleTracker$$disable()
+{
+  if (this.hook)
+    this.hook.disable();
+  this.hook = undefined;
+  this.since = undefined;
+  this.resources.clear();
+  this.byResource = new WeakMap();
+}
+
+/** @returns what is known about a handle or timer: { type, resource, stack, created }, or undefined */
+HandleTracker.prototype.lookup = function HandleTracker$$lookup(resource)
+{
+  return resource ? this.byResource.get(resource) : undefined;
+}
+
+/**
+ * Capture the stack a resource is being created from, leaving out node's internals and async_hooks.
+ * @returns an array of frames, like 'at connect (/app/lib/db.js:12:9)'
+ */
+function creationStack(fn)
+{
+  const holder = {};
+  const stackTraceLimit = Error.stackTraceLimit;
+
+  Error.stackTraceLimit = 30;
+  Error.captureStackTrace(holder, fn);
+  Error.stackTraceLimit = stackTraceLimit;
+
+  return holder.stack.split('\n').slice(1)
+    .map((line) => line.trim())
+    .filter((line) => !/\(?node:/.test(line) && !line.includes(__filename))
+    .slice(0, stackFrames);
+}
+
+/** Format the local or remote end of a socket */
+function endpoint(address, port)
+{
+  if (!address)
+    return '?';
+  return address.includes(':') ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+/** Describe a handle found by process._getActiveHandles() as { type, description, ref, handle } */
+function describeHandle(handle)
+{
+  const wrap = handle._handle;
+  const ref = wrap && typeof wrap.hasRef === 'function' ? wrap.hasRef() : (typeof handle.hasRef === 'function' ? handle.hasRef() : true);
+
+  if (handle instanceof net.Server)
+  {
+    const address = handle.address();
+    const where = typeof address === 'string' ? address : (address ? endpoint(address.address, address.port) : 'not listening');
+    return { type: 'server', description: `${handle.constructor.name} ${where}, ${handle._connections} connections`, ref, handle };
+  }
+
+  if (handle instanceof net.Socket)
+  {
+    const stdio = [ 'stdin', 'stdout', 'stderr' ].find((name) => process[name] === handle);
+    const counts = `read ${handle.bytesRead} written ${handle.bytesWritten}`;
+
+    if (handle.isTTY || stdio)
+      return { type: handle.isTTY ? 'tty' : 'pipe', description: `${stdio || 'fd ' + (wrap && wrap.fd)} ${counts}`, ref, handle };
+    if (!handle.remoteAddress && !handle.localAddress) /* unix domain socket or pipe */
+      return { type: 'pipe', description: `${(handle.server && handle.server.address()) || 'fd ' + (wrap && wrap.fd)} ${counts}`, ref, handle };
+    return { type: 'socket', description: `${endpoint(handle.localAddress, handle.localPort)} -> ${endpoint(handle.remoteAddress, handle.remotePort)} ${counts}`, ref, handle };
+  }
+
+  if (handle instanceof ChildProcess)
+  {
+    const command = handle.spawnargs.join(' ');
+    return { type: 'child', description: `pid ${handle.pid} ${command.length > 100 ? command.slice(0, 99) + '…' : command}`, ref, handle };
+  }
+
+  if (/Watcher$/.test(handle.constructor.name))
+    return { type: 'watcher', description: handle.constructor.name, ref, handle };
+
+  return { type: handle.constructor.name, description: '', ref, handle };
+}
+
+/** Describe a timer as { type, description, ref, handle } */
+function describeTimer(timer)
+{
+  const callback = timer._onTimeout && timer._onTimeout.name;
+  const when = `${timer._repeat ? 'every' : 'after'} ${timer._idleTimeout}ms`;
+  return { type: 'timer', description: `${when}${callback ? ' ' + callback + '()' : ''}`, ref: timer.hasRef(), handle: timer };
+}
+
+/**
+ * List the handles keeping the event loop alive. Timers are only listed, and creation stacks are only
+ * known, for those created while the tracker was enabled.
+ *
+ * @param {object}      tracker         the HandleTracker
+ * @returns an array of { type, description, ref, stack }, where type is one of server, socket, pipe, tty,
+ *          child, watcher or timer, ref is false for unref'd handles, which don't keep the process alive,
+ *          and stack is the creation stack or undefined
+ */
+exports.activeHandles = function handles$$activeHandles(tracker)
+{
+  const handles = (typeof process._getActiveHandles === 'function' ? process._getActiveHandles() : []).map(describeHandle);
+
+  for (let info of tracker.resources.values())
+  {
+    if (info.type === 'Timeout' && !info.resource._destroyed && info.resource._idleTimeout >= 0)
+      handles.push(describeTimer(info.resource));
+  }
+
+  for (let handle of handles)
+  {
+    const info = tracker.lookup(handle.handle._handle) || tracker.lookup(handle.handle);
+    handle.stack = info && info.stack;
+  }
+
+  return handles;
+}
+
+/**
+ * Count the resources which are keeping the event loop alive, by the types process.getActiveResourcesInfo()
+ * reports, e.g. { TCPSocketWrap: 3, Timeout: 2, FSReqCallback: 1 }. These include requests in progress,
+ * which activeHandles() does not list.
+ */
+exports.resourceCounts = function handles$$resourceCounts()
+{
+  const counts = {};
+
+  for (let type of process.getActiveResourcesInfo())
+    counts[type] = (counts[type] || 0) + 1;
+
+  return counts;
+}
@@ -11,37 +11,261 @@
 'use strict';
 
 const util  = require('util');
+const fs    = require('fs');
 const debug = require('debug');
+const { LogFile } = require('./log-file');
+const { tabulate, renderTable } = require('./console-table');
 const console = 'bug finding poison'; // eslint-disable-line no-unused-vars
 
-function RingBuffer(size)
+/**
+ * A buffer which keeps the most recent entries pushed into it, up to a number of entries and, optionally, an
+ * approximate number of bytes; the oldest entries are dropped to make room. Iterating, searching and slicing
+ * don't copy the whole buffer.
+ *
+ * The size of an entry is estimated from its inspectedArguments (or string arguments when there are none),
+ * plus a fixed overhead; objects referenced by its arguments are not counted.
+ *
+ * @param {number}      size            the largest number of entries to keep
+ * @param {number}      maxBytes        optional; the most bytes to keep, roughly. At least one entry is always kept.
+ */
+function RingBuffer(size, maxBytes)
 {
-  this.size = size;
+  this.size = Math.max(1, size);
+  this.maxBytes = maxBytes || 0;
   this.clear();
 }
 
+/** Estimate the memory used by a log entry */
+function entryBytes(el)
+{
+  var bytes = 200; /* the entry object, its date, source, etc */
+
+  for (let arg of (el && (el.inspectedArguments || el.arguments)) || [])
+  {
+    if (typeof arg === 'string')
+      bytes += 2 * arg.length;
+  }
+
+  return bytes;
+}
+
+/** Number of entries in the buffer */
+Object.defineProperty(RingBuffer.prototype, 'length', { get: function RingBuffer$$length() { return this.count } });
+
 RingBuffer.prototype.push = function RingBuffer$$push(el)
 {
-  this.buf[this.next] = el;
-  this.next = (this.next + 1) % this.size;
+  const bytes = entryBytes(el);
+
+  if (this.count === this.size)
+    this.shift();
+  this.buf[(this.start + this.count) % this.size] = el;
+  this.sizes[(this.start + this.count) % this.size] = bytes;
+  this.count++;
+  this.bytes += bytes;
+
+  while (this.maxBytes && this.bytes > this.maxBytes && this.count > 1)
+    this.shift();
+}
+
+/** Remove and return the oldest entry */
+RingBuffer.prototype.shift = function RingBuffer$$shift()
+{
+  const el = this.buf[this.start];
+
+  if (!this.count)
+    return undefined;
+
+  this.bytes -= this.sizes[this.start];
+  this.buf[this.start] = undefined;
+  this.start = (this.start + 1) % this.size;
+  this.count--;
+
+  return el;
 }
 
 RingBuffer.prototype.clear = function RingBuffer$$clear()
 {
-  this.buf = [];
-  this.next = 0;
+  this.buf   = new Array(this.size);
+  this.sizes = new Array(this.size);
+  this.start = 0;
+  this.count = 0;
+  this.bytes = 0;
+}
+
+/**
+ * Change the limits of the buffer, keeping as many of the newest entries as fit.
+ *
+ * @param {number}      size            the largest number of entries to keep
+ * @param {number}      maxBytes        optional; the most bytes to keep, 0 for no limit; default=unchanged
+ */
+RingBuffer.prototype.resize = function RingBuffer$$resize(size, maxBytes)
+{
+  const entries = this.slice(-Math.max(1, size));
+
+  this.size = Math.max(1, size);
+  if (maxBytes !== undefined)
+    this.maxBytes = maxBytes;
+  this.clear();
+  for (let el of entries)
+    this.push(el);
+}
+
+/** @returns the entry at idx, counting from the oldest; negative idx counts back from the newest */
+RingBuffer.prototype.at = function RingBuffer$$at(idx)
+{
+  if (idx < 0)
+    idx += this.count;
+  if (idx < 0 || idx >= this.count)
+    return undefined;
+
+  return this.buf[(this.start + idx) % this.size];
+}
+
+/** Iterate over the entries, oldest first */
+RingBuffer.prototype[Symbol.iterator] = function* RingBuffer$$iterator()
+{
+  for (let i = 0; i < this.count; i++)
+    yield this.buf[(this.start + i) % this.size];
+}
+
+/** Iterate over the entries, newest first */
+RingBuffer.prototype.newestFirst = function* RingBuffer$$newestFirst()
+{
+  for (let i = this.count - 1; i >= 0; i--)
+    yield this.buf[(this.start + i) % this.size];
+}
+
+/** Like Array.slice(); only the entries in the slice are copied */
+RingBuffer.prototype.slice = function RingBuffer$$slice(begin, end)
+{
+  const result = [];
+
+  begin = begin === undefined ? 0 : (begin < 0 ? Math.max(0, this.count + begin) : Math.min(begin, this.count));
+  end   = end   === undefined ? this.count : (end < 0 ? Math.max(0, this.count + end) : Math.min(end, this.count));
+  for (let i = begin; i < end; i++)
+    result.push(this.buf[(this.start + i) % this.size]);
+
+  return result;
+}
+
+RingBuffer.prototype.forEach = function RingBuffer$$forEach(fn, thisArg)
+{
+  for (let i = 0; i < this.count; i++)
+    fn.call(thisArg, this.buf[(this.start + i) % this.size], i, this);
+}
+
+RingBuffer.prototype.map = function RingBuffer$$map(fn, thisArg)
+{
+  const result = new Array(this.count);
+
+  for (let i = 0; i < this.count; i++)
+    result[i] = fn.call(thisArg, this.buf[(this.start + i) % this.size], i, this);
+
+  return result;
+}
+
+RingBuffer.prototype.filter = function RingBuffer$$filter(fn, thisArg)
+{
+  const result = [];
+
+  for (let i = 0; i < this.count; i++)
+  {
+    const el = this.buf[(this.start + i) % this.size];
+    if (fn.call(thisArg, el, i, this))
+      result.push(el);
+  }
+
+  return result;
 }
 
-for (let method of ['forEach', 'map', 'filter', 'find', 'slice'])
+RingBuffer.prototype.find = function RingBuffer$$find(fn, thisArg)
 {
-  RingBuffer.prototype[method] = function RingBuffer$$autoMethod()
+  for (let i = 0; i < this.count; i++)
   {
-    var top    = this.buf.slice(this.next);
-    var bottom = this.buf.slice(0, this.next);
-    var tmp = top.concat(bottom);
+    const el = this.buf[(this.start + i) % this.size];
+    if (fn.call(thisArg, el, i, this))
+      return el;
+  }
+
+  return undefined;
+}
+
+/**
+ * Find the last count entries for which fn returns true, searching from the newest entry back, so that
+ * only as much of the buffer as needed is looked at.
+ *
+ * @returns an array of the matching entries, oldest first
+ */
+RingBuffer.prototype.filterLast = function RingBuffer$$filterLast(count, fn, thisArg)
+{
+  const result = [];
 
-    return tmp[method].apply(tmp, arguments);
+  for (let i = this.count - 1; i >= 0 && result.length < count; i--)
+  {
+    const el = this.buf[(this.start + i) % this.size];
+    if (fn.call(thisArg, el, i, this))
+      result.push(el);
   }
+
+  return result.reverse();
+}
+exports.RingBuffer = RingBuffer;
+
+/**
+ * Decide whether a value can be exported as JSON and read back as the same value: primitives other than
+ * bigints and symbols, and plain objects and arrays made of them, without cycles.
+ */
+function isJsonSafe(value)
+{
+  var safe = true;
+
+  if (value === undefined || typeof value === 'function' || typeof value === 'symbol')
+    return false;
+
+  try
+  {
+    JSON.stringify(value, function isJsonSafe$$replacer(key, el) {
+      const raw = this[key]; /* el is the value after toJSON(), which Dates and Buffers have */
+      const proto = (typeof raw === 'object' && raw !== null) ? Object.getPrototypeOf(raw) : null;
+
+      if (typeof raw === 'object' && raw !== null && typeof raw.toJSON === 'function')
+        safe = false;
+      else if (el === undefined || typeof el === 'function' || typeof el === 'symbol' || (typeof el === 'number' && !isFinite(el)))
+        safe = false;
+      else if (proto && proto !== Object.prototype && proto !== Array.prototype)
+        safe = false;
+      return el;
+    });
+  }
+  catch(error)
+  {
+    return false; /* cycles, bigints */
+  }
+
+  return safe;
+}
+
+/**
+ * Work out where a function was called from, without paying for a full stack trace.
+ *
+ * @param {function}    fn      the function whose caller we want
+ * @returns { file, line, column } or undefined if we can't tell
+ */
+function callerSource(fn)
+{
+  const stackTraceLimit = Error.stackTraceLimit;
+  const holder = {};
+  var match;
+
+  Error.stackTraceLimit = 1;
+  Error.captureStackTrace(holder, fn);
+  Error.stackTraceLimit = stackTraceLimit;
+
+  match = /\(?([^\s()]+):([0-9]+):([0-9]+)\)?$/.exec(holder.stack.split('\n')[1] || '');
+  if (!match)
+    return undefined;
+
+  return { file: match[1], line: Number(match[2]), column: Number(match[3]) };
 }
 
 /* Similar to util.inspect, but does not quote strings */
@@ -53,6 +277,30 @@ function inspector(el, options)
   return util.inspect(el, options);
 }
 
+/* Render the arguments of a console method the way the console does, including printf-style format strings */
+function inspectArguments(args, options)
+{
+  if (typeof args[0] === 'string' && args.length > 1 && /%[sdifjoOc%]/.test(args[0]))
+    return [ util.formatWithOptions(options, ...args) ];
+
+  return Array.from(args).map(el => inspector(el, options));
+}
+
+/**
+ * Console methods which log through the level methods (e.g. console.count() calls console.log()), and
+ * the levels which what they log is recorded at.
+ */
+const compositeMethods = {
+  table:          'table',
+  group:          'group',
+  groupCollapsed: 'group',
+  groupEnd:       'group',
+  count:          'count',
+  timeLog:        'time',
+  timeEnd:        'time',
+  assert:         'assert',
+};
+
 /**
  * Instantiate a new console interceptor. Works by modifying the exports of the console
  * object and the current global console symbol. It is plausible that multiple interceptors
@@ -62,8 +310,15 @@ function inspector(el, options)
  * call. The event handler is passed object which has the following properties:
  * - inspectedArguments: the arguments as rendered by util::inspect()
  * - arguments:          the actual arguments array passed to the intercepted function
- * - level:              the log level of the original message
+ * - level:              the log level of the original message; console.table(), group(), count(), timeLog(),
+ *                       timeEnd(), assert() and dir() are recorded at the levels table, group, count, time,
+ *                       assert and dir
  * - date:               an instance of Date which
+ * - source:             { file, line, column } of the code which called the console method, when the
+ *                       source option is true
+ * - groupDepth:         how many console.group()s the message is inside of; its inspectedArguments are
+ *                       indented two spaces for each
+ * - table:              for console.table(), the table as { head, rows } of strings; see console-table.js
  *
  * Each instance of ConsoleInterceptor exposes the following API:
  * - buffer             an instance of RingBuffer which stores the event arguments corresponding to the
@@ -73,14 +328,39 @@ function inspector(el, options)
  * - buffer.find()      like Array.find()
  * - buffer.slice()     like Array.slice()
  * - buffer.map()       like Array.map()
+ * - buffer.filterLast() the last N entries which match, without looking at the rest of the buffer
  * - buffer.clear()     clear the current contents of the buffer
+ * - buffer.resize()    change how many entries (and bytes) the buffer keeps
+ * - buffer.length      the number of entries in the buffer
  * - trace              emits trace event, see console::trace() for details
+ * - files              an array of LogFile instances which intercepted messages are written to
+ * - restore()          stop intercepting and put the underlying console methods back
+ * - close()            close the log files
+ * - exportBuffer()     serialize the buffer as JSON; see importBuffer()
+ * - push()             record a message from somewhere other than the console, e.g. a structured logger
  *
  * @param {object} options      various options for controlling the interceptor, including
  *                              - levels:       an array of log levels to intercept
  *                              - minimal:      true to skip building the inspectedArguments
  *                                              and date properties of the event object
  *                              - keep:         number log arguments to keep in the ring buffer
+ *                              - keepBytes:    approximate number of bytes of log arguments to keep in the ring buffer
+ *                              - source:       true to record where each console method was called from
+ *                              - files:        a log file to write intercepted messages to, or an array of them;
+ *                                              each is a filename or an options object for LogFile
+ *                              - streams:      true (or an array of 'stdout', 'stderr') to also intercept writes
+ *                                              to process.stdout and process.stderr, one event per line, at the
+ *                                              pseudo-levels stdout and stderr
+ *                              - debug:        true, or the debug package, to also intercept output from enabled
+ *                                              debug namespaces, one event per message, at the pseudo-level
+ *                                              debug:<namespace>
+ *                              - process:      true (or an array of event names) to also record process events at
+ *                                              levels named for them; see processEventHandlers. The default
+ *                                              events are uncaughtException, unhandledRejection, warning and
+ *                                              exit. These events are marked with alert: true.
+ *
+ * Output written to the streams while the console methods (or our own event handlers) are running is not
+ * intercepted again, so console.log() makes one log event, not a log event and a stdout event.
  */
 exports.ConsoleInterceptor = function ConsoleInterceptor(options)
 {
@@ -100,8 +380,16 @@ exports.ConsoleInterceptor = function ConsoleInterceptor(options)
     }
   }, options);
 
-  this.buffer = new RingBuffer(options.keep);
+  this.buffer = new RingBuffer(options.keep, options.keepBytes);
+  this.inspectOptions = options.inspect;
+  this.minimal = options.minimal;
   this.levels = options.levels;
+  this.files  = [].concat(options.files || []).map((fileOptions) => new LogFile(fileOptions));
+  this.busy   = 0;  /* >0 while handling intercepted output; stream and debug output then is not intercepted */
+  this.hooks  = {}; /* name -> { object, prop, wrapper } for stream and debug interception */
+  this.underlyingHooks = {}; /* name -> function we replaced */
+  this.partialLines = {};    /* name -> stream output which doesn't end in a newline yet */
+  this.processListeners = {}; /* process event name -> listener */
 
   debug('telnet-console:logs')('intercepting console logs', options.levels, 'on',
                                options.console === globalThis.console ? 'global' : 'custom',
@@ -117,30 +405,50 @@ exports.ConsoleInterceptor = function ConsoleInterceptor(options)
     function consoleWrapper()
     {
       var details; /* event handler argument */
-      debug(`telnet-console:logs:${level}`)('intercepted', arguments);
 
+      if (that.restored)
+        return that.underlyingConsoleMethods[level].apply(that.underlyingConsoleThis, arguments);
+      that.busy++;
       try
       {
-        details = {
-          level,
-          arguments
-        };
+        debug(`telnet-console:logs:${level}`)('intercepted', arguments);
+        try
+        {
+          const composite = that.composite; /* set while e.g. console.table() logs through this method */
 
-        if (!options.minimal)
+          details = {
+            level: composite ? composite.level : level,
+            arguments
+          };
+
+          if (!options.minimal)
+          {
+            details.inspectedArguments = inspectArguments(arguments, options.inspect);
+            if (composite && composite.table)
+            {
+              details.table = composite.table;
+              details.inspectedArguments = [ renderTable(composite.table) ];
+            }
+            details.date = new Date();
+            if (options.source)
+              details.source = composite ? composite.source : callerSource(consoleWrapper);
+            indent(details);
+          }
+          that.record(details);
+        }
+        catch(e)
         {
-          details.inspectedArguments = Array.from(arguments).map(el => inspector(el, options.inspect));
-          details.date = new Date();
+          that.underlyingConsoleMethods.error.call(that.underlyingConsoleThis, 'Uncaught Error in consoleWrapper', e);
         }
-        that.buffer.push(details);
-        that.emit(level, details);
+        return that.underlyingConsoleMethods[level].apply(that.underlyingConsoleThis, arguments);
       }
-      catch(e)
+      finally
       {
-        that.underlyingConsoleMethods.error.call(that.underlyingConsoleThis, 'Uncaught Error in consoleWrapper', e);
+        that.busy--;
       }
-      return that.underlyingConsoleMethods[level].apply(that.underlyingConsoleThis, arguments);
     }
     consoleWrapper.level = level;
+    consoleWrapper.interceptor = that;
     return consoleWrapper;
   }
 
@@ -155,6 +463,9 @@ exports.ConsoleInterceptor = function ConsoleInterceptor(options)
   {
     var details = { date: new Date(), level: 'trace' };
 
+    if (that.restored)
+      return that.underlyingConsoleMethods.trace.apply(that.underlyingConsoleThis, arguments);
+
     details = {
       level: 'trace',
       arguments
@@ -162,17 +473,282 @@ exports.ConsoleInterceptor = function ConsoleInterceptor(options)
 
     if (!options.minimal)
     {
-      const inspectedArguments = Array.from(arguments).map(el => inspector(el, options.inspect));
+      const inspectedArguments = inspectArguments(arguments, options.inspect);
       details.inspectedArguments = [`Trace: ${inspectedArguments.join(' ')}\n` + new Error().stack.split('\n').slice(1)];
       details.date = new Date();
+      if (options.source)
+        details.source = callerSource(traceWrapper);
+      indent(details);
     }
 
-    that.buffer.push(details);
-    that.emit('trace', details);
-    that.underlyingConsoleMethods.trace.apply(that.underlyingConsoleThis, arguments);
+    that.busy++;
+    try
+    {
+      that.record(details);
+      that.underlyingConsoleMethods.trace.apply(that.underlyingConsoleThis, arguments);
+    }
+    finally
+    {
+      that.busy--;
+    }
   }
 
+  traceWrapper.interceptor = this;
   this.trace = options.console.trace = traceWrapper;
+
+  /* Indent a message by the depth of console.group()s it is in, like the console does */
+  function indent(details)
+  {
+    const pad = '  '.repeat(that.groupDepth);
+
+    if (!that.groupDepth)
+      return;
+    details.groupDepth = that.groupDepth;
+    details.inspectedArguments = details.inspectedArguments.map((str, idx) => (idx ? '' : pad) + str.replace(/\n/g, '\n' + pad));
+  }
+  this.groupDepth = 0;
+
+  function compositeWrapperFactory(method)
+  {
+    function compositeWrapper(...args)
+    {
+      if (that.restored || that.composite)
+        return that.underlyingConsoleMethods[method].apply(that.underlyingConsoleThis, args);
+
+      that.composite = { level: compositeMethods[method] };
+      try
+      {
+        if (!options.minimal && options.source)
+          that.composite.source = callerSource(compositeWrapper);
+        if (!options.minimal && method === 'table')
+        {
+          try
+          {
+            that.composite.table = tabulate(args[0], Array.isArray(args[1]) ? args[1] : undefined, options.inspect);
+          }
+          catch(e)
+          {
+            debug('telnet-console:logs')('could not tabulate', e);
+          }
+        }
+        return that.underlyingConsoleMethods[method].apply(that.underlyingConsoleThis, args);
+      }
+      finally
+      {
+        that.composite = undefined;
+        if (method === 'group' || method === 'groupCollapsed')
+          that.groupDepth++;
+        else if (method === 'groupEnd' && that.groupDepth)
+          that.groupDepth--;
+      }
+    }
+    compositeWrapper.interceptor = that;
+    return compositeWrapper;
+  }
+
+  /* console.dir() writes to the console's stream itself, rather than through a level method */
+  function dirWrapper(obj, dirOptions)
+  {
+    var details;
+
+    if (that.restored)
+      return that.underlyingConsoleMethods.dir.apply(that.underlyingConsoleThis, arguments);
+
+    details = {
+      level: 'dir',
+      arguments
+    };
+
+    if (!options.minimal)
+    {
+      details.inspectedArguments = [ util.inspect(obj, Object.assign({}, options.inspect, { customInspect: false }, dirOptions)) ];
+      details.date = new Date();
+      if (options.source)
+        details.source = callerSource(dirWrapper);
+      indent(details);
+    }
+
+    that.busy++;
+    try
+    {
+      that.record(details);
+      return that.underlyingConsoleMethods.dir.apply(that.underlyingConsoleThis, arguments);
+    }
+    finally
+    {
+      that.busy--;
+    }
+  }
+  dirWrapper.interceptor = this;
+
+  this.apiMethods = Object.keys(compositeMethods).concat('dir').filter((method) => typeof options.console[method] === 'function');
+  for (let method of this.apiMethods)
+    options.console[method] = this[method] = (method === 'dir' ? dirWrapper : compositeWrapperFactory(method));
+
+  /* Record a line of stream or debug output at a pseudo-level */
+  function captureLine(level, line)
+  {
+    const details = { level, arguments: [ line ] };
+
+    if (!options.minimal)
+    {
+      details.inspectedArguments = [ line ];
+      details.date = new Date();
+    }
+
+    that.busy++;
+    try
+    {
+      that.record(details);
+    }
+    catch(e)
+    {
+      debug('telnet-console:logs')('error capturing', level, e);
+    }
+    finally
+    {
+      that.busy--;
+    }
+  }
+  this.captureLine = captureLine;
+
+  /* Intercept writes to a stream, splitting them into lines */
+  function streamWrapperFactory(name)
+  {
+    function streamWriteWrapper(chunk, encoding)
+    {
+      if (!that.restored && !that.busy)
+      {
+        const text = ArrayBuffer.isView(chunk) ? Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength).toString('utf8') : String(chunk);
+        const lines = ((that.partialLines[name] || '') + text).split('\n');
+
+        that.partialLines[name] = lines.pop();
+        if (that.partialLines[name].length > 65536) /* not a line, a flood */
+        {
+          lines.push(that.partialLines[name]);
+          that.partialLines[name] = '';
+        }
+        for (let line of lines)
+          captureLine(name, line.replace(/\r$/, ''));
+      }
+      return that.underlyingHooks[name].apply(this, arguments);
+    }
+    streamWriteWrapper.interceptor = that;
+    return streamWriteWrapper;
+  }
+
+  /* Intercept debug package output; these functions are invoked with this set to the debug instance */
+  function debugLogWrapper()
+  {
+    if (that.restored || that.busy)
+      return that.underlyingHooks.debug.apply(this, arguments);
+
+    captureLine(`debug:${this.namespace}`, util.format.apply(null, arguments));
+    that.busy++;
+    try
+    {
+      return that.underlyingHooks.debug.apply(this, arguments);
+    }
+    finally
+    {
+      that.busy--;
+    }
+  }
+  debugLogWrapper.interceptor = that;
+
+  if (options.streams)
+  {
+    for (let name of (options.streams === true ? [ 'stdout', 'stderr' ] : options.streams))
+      this.hooks[name] = { object: process[name], prop: 'write', wrapper: streamWrapperFactory(name) };
+  }
+  if (options.debug)
+    this.hooks.debug = { object: options.debug === true ? debug : options.debug, prop: 'log', wrapper: debugLogWrapper };
+
+  if (options.process)
+  {
+    const events = options.process === true ? [ 'uncaughtException', 'unhandledRejection', 'warning', 'exit' ] : options.process;
+
+    for (let eventName of events)
+    {
+      if (!processEventHandlers.hasOwnProperty(eventName))
+        throw new Error(`cannot intercept process event ${eventName}`);
+      this.processListeners[eventName] = function processEventListener(...args) {
+        const details = { level: eventName, arguments: args, alert: true };
+
+        if (that.restored || (processEventHandlers[eventName].skip && processEventHandlers[eventName].skip(args)))
+          return;
+        details.inspectedArguments = [ processEventHandlers[eventName].describe(args, options.inspect) ];
+        details.date = new Date();
+        that.busy++;
+        try
+        {
+          that.record(details);
+        }
+        catch(e)
+        {
+          debug('telnet-console:logs')('error recording', eventName, e);
+        }
+        finally
+        {
+          that.busy--;
+        }
+        if (processEventHandlers[eventName].after)
+          processEventHandlers[eventName].after(args, that.processListeners[eventName]);
+      };
+      this.processListeners[eventName].interceptor = this;
+    }
+  }
+
+  this.hook();
+}
+
+/**
+ * Process events which the interceptor can record; each describes the event's arguments as a string.
+ * Node's uncaughtExceptionMonitor event is used for uncaughtException, so that listening doesn't stop
+ * the process from crashing. Listening for unhandledRejection does stop the process from crashing, so
+ * when interceptors are the only listeners and Node is in its default (throw) mode, the first one throws
+ * the rejection again, which crashes the process the way it would have without us. That throw reaches
+ * uncaughtExceptionMonitor, but the rejection has already been recorded, so it is skipped there. In
+ * strict mode, Node raises the rejection as an uncaught exception before emitting unhandledRejection,
+ * so it has already been recorded as one, and is neither recorded nor thrown again.
+ */
+const rethrownRejections = new WeakSet();
+const processEventHandlers = {
+  uncaughtException: {
+    processEvent: 'uncaughtExceptionMonitor',
+    skip: ([ error ]) => (error !== null && typeof error === 'object') && rethrownRejections.has(error),
+    describe: ([ error, origin ], options) => `${origin === 'unhandledRejection' ? 'Unhandled rejection' : 'Uncaught exception'}: ${inspector(error, options)}`,
+  },
+  unhandledRejection: {
+    skip: () => unhandledRejectionsMode() === 'strict',
+    describe: ([ reason ], options) => `Unhandled rejection: ${inspector(reason, options)}`,
+    after: ([ reason ], listener) => {
+      const listeners = process.listeners('unhandledRejection');
+
+      if (listeners[0] === listener && listeners.every((el) => el.interceptor) && unhandledRejectionsMode() === 'throw')
+      {
+        const error = reason instanceof Error ? reason : new Error(`Unhandled rejection: ${util.inspect(reason)}`);
+        rethrownRejections.add(error);
+        throw error;
+      }
+    },
+  },
+  warning: {
+    describe: ([ warning ], options) => inspector(warning, options),
+  },
+  multipleResolves: {
+    describe: ([ type, promise, value ], options) => `Promise ${type === 'reject' ? 'rejected' : 'resolved'} after it was settled: ${inspector(value, options)}`,
+  },
+  exit: {
+    describe: ([ code ]) => `Process ${process.pid} exiting with code ${code}`,
+  },
+};
+
+/** @returns the mode Node was started in for unhandled rejections, from --unhandled-rejections; default throw */
+function unhandledRejectionsMode()
+{
+  const execArgv = process.execArgv.concat((process.env.NODE_OPTIONS || '').split(/\s+/));
+  return (execArgv.find((arg) => arg.startsWith('--unhandled-rejections=')) || '=throw').split('=')[1];
 }
 
 exports.ConsoleInterceptor.prototype = new (require('events').EventEmitter)();
@@ -194,6 +770,182 @@ exports.ConsoleInterceptor.prototype.emit = function ConsoleIntercept$$emit(even
   return retval || false;
 }
 
+/**
+ * Install the stream and debug wrappers, remembering what they replaced. Wrappers which are already
+ * installed are left alone.
+ */
+exports.ConsoleInterceptor.prototype.hook = function ConsoleIntercept$$hook()
+{
+  for (let eventName in this.processListeners)
+  {
+    const processEvent = processEventHandlers[eventName].processEvent || eventName;
+
+    if (!process.listeners(processEvent).includes(this.processListeners[eventName]))
+      process.on(processEvent, this.processListeners[eventName]);
+  }
+
+  for (let name in this.hooks)
+  {
+    const { object, prop, wrapper } = this.hooks[name];
+
+    if (object[prop] !== wrapper)
+    {
+      this.underlyingHooks[name] = object[prop];
+      object[prop] = wrapper;
+    }
+  }
+}
+
+/**
+ * Numeric levels used by pino and bunyan, and the names we record them as
+ */
+const numericLevels = {
+  10: 'trace',
+  20: 'debug',
+  30: 'info',
+  40: 'warn',
+  50: 'error',
+  60: 'fatal',
+};
+exports.numericLevels = numericLevels;
+
+/**
+ * Record a message which did not come from the console, e.g. from a structured logger (see logger-adapters.js).
+ * The message is buffered, written to the log files and emitted just like an intercepted console call,
+ * with the message and fields as its arguments. Messages pushed after restore() are ignored.
+ *
+ * @param {object}      entry           the message, which has the properties
+ *                                      - level:   level name, e.g. 'info', or a pino/bunyan level number
+ *                                      - message: the message text
+ *                                      - fields:  optional; an object holding the message's structured data
+ *                                      - date:    optional; when the message was logged, as a Date, a time
+ *                                                 in ms or a string Date understands; default=now
+ *                                      - source:  optional; { file, line, column } which logged the message
+ */
+exports.ConsoleInterceptor.prototype.push = function ConsoleIntercept$$push(entry)
+{
+  const fields = entry.fields && Object.keys(entry.fields).length ? entry.fields : undefined;
+  var details, level = entry.level;
+
+  if (this.restored)
+    return;
+
+  if (typeof level === 'number')
+    level = numericLevels[level] || `level${level}`;
+  details = {
+    level: String(level || 'log').toLowerCase(),
+    arguments: fields ? [ entry.message, fields ] : [ entry.message ],
+  };
+  if (fields)
+    details.fields = fields;
+
+  if (!this.minimal)
+  {
+    details.inspectedArguments = Array.from(details.arguments).map(el => inspector(el, this.inspectOptions));
+    details.date = entry.date ? new Date(entry.date) : new Date();
+    if (isNaN(details.date.getTime()))
+      details.date = new Date();
+    if (entry.source)
+      details.source = entry.source;
+  }
+
+  this.busy++;
+  try
+  {
+    this.record(details);
+  }
+  finally
+  {
+    this.busy--;
+  }
+}
+
+/** Add an intercepted message to the buffer and the log files, and emit it as the event named for its level */
+exports.ConsoleInterceptor.prototype.record = function ConsoleIntercept$$record(details)
+{
+  this.buffer.push(details);
+  this.writeFiles(details);
+  this.emit(details.level, details);
+}
+
+/** Write an intercepted message to each of the log files */
+exports.ConsoleInterceptor.prototype.writeFiles = function ConsoleIntercept$$writeFiles(details)
+{
+  for (let file of this.files)
+    file.write(details);
+}
+
+/**
+ * Close the log files.
+ * @returns a Promise which resolves once they have been flushed
+ */
+exports.ConsoleInterceptor.prototype.close = function ConsoleIntercept$$close()
+{
+  const files = this.files;
+
+  this.files = [];
+  return Promise.all(files.map((file) => file.close()));
+}
+
+/**
+ * Serialize the buffered log entries as a JSON document which importBuffer() can read back. Each entry
+ * keeps its level, date, inspected arguments and source; the raw arguments are kept too, but only when
+ * every one of them survives the trip through JSON.
+ *
+ * @param {string}      filename        optional; the file to write the document to, with mode 0600; it
+ *                                      may not be a symbolic link
+ *
+ * @returns the JSON document, or, when filename is given, a Promise which resolves once it has been written
+ */
+exports.ConsoleInterceptor.prototype.exportBuffer = function ConsoleIntercept$$exportBuffer(filename)
+{
+  const entries = this.buffer.map((entry) => {
+    const exported = { level: entry.level, date: entry.date, inspectedArguments: entry.inspectedArguments, source: entry.source };
+    const args = Array.from(entry.arguments || []);
+
+    if (args.every(isJsonSafe))
+      exported.arguments = args;
+    return exported;
+  });
+  const json = JSON.stringify({ version: 1, exported: new Date(), pid: process.pid, entries });
+
+  if (filename) /* a symbolic link put where the file is going is not followed */
+    return fs.promises.writeFile(filename, json + '\n', { mode: 0o600, flag: fs.constants.O_WRONLY | fs.constants.O_CREAT | fs.constants.O_TRUNC | (fs.constants.O_NOFOLLOW || 0) });
+
+  return json;
+}
+
+/**
+ * Read a document made by ConsoleInterceptor::exportBuffer() into a new RingBuffer, for browsing old logs
+ * the same way as live ones. Entries' dates are instances of Date again.
+ *
+ * @param {string}      json            the JSON document
+ * @param {number}      keep            optional; size of the buffer, which is at least big enough to hold
+ *                                      every entry in the document
+ *
+ * @returns an instance of RingBuffer
+ */
+exports.importBuffer = function interceptConsole$$importBuffer(json, keep)
+{
+  const doc = JSON.parse(json);
+  var buffer;
+
+  if (!doc || doc.version !== 1 || !Array.isArray(doc.entries))
+    throw new Error('not an exported log buffer');
+
+  buffer = new RingBuffer(Math.max(keep || 0, doc.entries.length, 1));
+  for (let entry of doc.entries)
+  {
+    if (entry.date)
+      entry.date = new Date(entry.date);
+    if (!entry.inspectedArguments)
+      entry.inspectedArguments = (entry.arguments || []).map(el => inspector(el, {}));
+    buffer.push(entry);
+  }
+
+  return buffer;
+}
+
 /**
  * re-establish a console interception that has been interrupted, presumably by another console
  * interceptor that doesn't ever invoke the underlying ("real") console code [that we intercepted]. This
@@ -208,8 +960,10 @@ exports.ConsoleInterceptor.prototype.reintercept = function ConsoleIntercept$$re
   debug('telnet-console:logs')('re-intercepting console logs', this.levels, 'on',
                                console === globalThis.console ? 'global' : 'custom', 'console object');
 
+  this.restored = false;
+  this.hook();
   this.underlyingConsoleThis = console;
-  for (let prop of this.levels.concat(['trace']))
+  for (let prop of this.levels.concat(['trace'], this.apiMethods))
   {
     if (console[prop] !== this[prop])
     {
@@ -218,3 +972,47 @@ exports.ConsoleInterceptor.prototype.reintercept = function ConsoleIntercept$$re
     }
   }
 }
+
+/**
+ * Stop intercepting the console, putting back the methods we replaced. When some other interceptor
+ * has wrapped ours in the meantime, we can't unhook without breaking it, so our wrappers instead
+ * become pass-throughs to the underlying console; they are skipped over when that other interceptor
+ * is restored.
+ */
+exports.ConsoleInterceptor.prototype.restore = function ConsoleIntercept$$restore()
+{
+  const console = this.underlyingConsoleThis; // eslint-disable-line no-shadow
+
+  debug('telnet-console:logs')('restoring console', this.levels, 'on',
+                               console === globalThis.console ? 'global' : 'custom', 'console object');
+
+  this.restored = true;
+  for (let eventName in this.processListeners)
+    process.off(processEventHandlers[eventName].processEvent || eventName, this.processListeners[eventName]);
+
+  for (let prop of this.levels.concat(['trace'], this.apiMethods))
+  {
+    let method = this.underlyingConsoleMethods[prop];
+
+    if (console[prop] !== this[prop])
+      continue;
+    while (method && method.interceptor && method.interceptor.restored)
+      method = method.interceptor.underlyingConsoleMethods[prop];
+    console[prop] = method;
+  }
+
+  for (let name in this.hooks)
+  {
+    const { object, prop, wrapper } = this.hooks[name];
+    let method = this.underlyingHooks[name];
+
+    if (this.partialLines[name])
+      this.captureLine(name, this.partialLines[name]);
+    this.partialLines[name] = '';
+    if (object[prop] !== wrapper)
+      continue;
+    while (method && method.interceptor && method.interceptor.restored)
+      method = method.interceptor.underlyingHooks[name];
+    object[prop] = method;
+  }
+}
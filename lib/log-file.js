@@ -0,0 +1,258 @@
+/**
+ * @file        log-file.js
+ *              Log files for the console interceptor: each intercepted message is appended to a file,
+ *              either as JSON lines or as plain text. Files are rotated by size and/or age; rotated
+ *              files are renamed with the time of rotation, e.g. app.log.2026-10-19T14-30-00.000Z,
+ *              optionally compressed with gzip, and pruned so that only the newest few are kept.
+ *
+ *              JSON lines look like
+ *              {"date":"2026-10-19T14:30:00.000Z","level":"warn","message":"disk full","source":{...}}
+ *
+ *              Text lines look like
+ *              2026-10-19T14:30:00.000Z WARN  disk full
+ *              with the second and subsequent lines of multi-line messages indented by two spaces.
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const debug = require('debug');
+const { expandPath } = require('./expand-path');
+const { stripColors } = require('./log-format');
+
+const textLineRegExp = /^([0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9:.]+Z) ([^\s]+)\s+(.*)$/;
+
+/**
+ * Create a log file which intercepted messages can be written to. The file is created with mode 0600
+ * if it does not exist, and appended to if it does. Errors writing the file are reported once, on the
+ * console, and otherwise ignored; logging should not take the program down.
+ *
+ * Rotation is checked as messages are written, so a file which is not written to is not rotated.
+ *
+ * @param {string|object} options       the filename, or an object which may include
+ *                                      - filename:     the file to write; understands ~. Required.
+ *                                      - format:       'jsonl' (default) or 'text'
+ *                                      - maxSize:      rotate once the file reaches this many bytes
+ *                                      - maxAge:       rotate once the file is this many seconds old
+ *                                      - keep:         number of rotated files to keep; default=5
+ *                                      - compress:     true to gzip rotated files
+ */
+function LogFile(options)
+{
+  if (typeof options === 'string')
+    options = { filename: options };
+
+  this.options = Object.assign({ format: 'jsonl', maxSize: 0, maxAge: 0, keep: 5, compress: false }, options);
+  if (!this.options.filename)
+    throw new Error('log file requires a filename');
+  if (this.options.format !== 'jsonl' && this.options.format !== 'text')
+    throw new Error(`unknown log file format ${this.options.format}`);
+
+  this.filename = expandPath(this.options.filename);
+  this.pending = Promise.resolve(); /* compression and pruning of rotated files */
+  this.open();
+}
+exports.LogFile = LogFile;
+
+/** Open the log file for appending, noting its size and age for rotation */
+LogFile.prototype.open = function LogFile$$open()
+{
+  const that = this;
+  var stat;
+
+  try
+  {
+    stat = fs.statSync(this.filename);
+  }
+  catch(error)
+  {
+    if (error.code !== 'ENOENT')
+      throw error;
+  }
+
+  this.size = stat ? stat.size : 0;
+  this.born = stat && stat.size ? (stat.birthtimeMs || stat.ctimeMs) : Date.now();
+  this.stream = fs.createWriteStream(this.filename, { flags: 'a', mode: 0o600 });
+  this.stream.on('error', function logFile$$error(error) {
+    debug('telnet-console:logfile')('error writing', that.filename, error);
+    if (!that.warned)
+    {
+      that.warned = true;
+      console.warn(` * Warning: could not write log file ${that.filename}: ${error.message}`);
+    }
+  });
+}
+
+/** Render a log entry (see ConsoleInterceptor) as a line of the log file */
+LogFile.prototype.formatEntry = function LogFile$$formatEntry(entry)
+{
+  const date = entry.date || new Date();
+  const message = stripColors(entry.inspectedArguments ? entry.inspectedArguments.join(' ') : util.format(...entry.arguments));
+
+  if (this.options.format === 'text')
+    return `${date.toISOString()} ${String(entry.level).toUpperCase().padEnd(5)} ${message.replace(/\r?\n/g, '\n  ')}\n`;
+
+  return JSON.stringify({ date, level: entry.level, message, source: entry.source }) + '\n';
+}
+
+/** Append a log entry to the file, rotating it first when it is too big or too old */
+LogFile.prototype.write = function LogFile$$write(entry)
+{
+  const line = this.formatEntry(entry);
+  const { maxSize, maxAge } = this.options;
+
+  if (!this.stream || !this.stream.writable)
+    return;
+
+  if (this.size && ((maxSize && this.size + Buffer.byteLength(line) > maxSize) || (maxAge && Date.now() - this.born >= maxAge * 1000)))
+    this.rotate();
+
+  this.stream.write(line);
+  this.size += Buffer.byteLength(line);
+}
+
+/**
+ * Rotate the log file: rename it with the current time, start a new one, and then compress and
+ * prune the rotated files in the background.
+ */
+LogFile.prototype.rotate = function LogFile$$rotate()
+{
+  const oldStream = this.stream;
+  const rotatedName = `${this.filename}.${new Date().toISOString().replace(/:/g, '-')}`;
+  const flushed = new Promise((resolve) => oldStream.end(resolve));
+
+  debug('telnet-console:logfile')('rotating', this.filename, 'to', rotatedName);
+  try
+  {
+    fs.renameSync(this.filename, rotatedName);
+  }
+  catch(error)
+  {
+    debug('telnet-console:logfile')('could not rotate', this.filename, error);
+  }
+  this.open();
+
+  this.pending = this.pending.then(async () => {
+    await flushed;
+    if (this.options.compress && fs.existsSync(rotatedName))
+      await compressFile(rotatedName);
+    await this.prune();
+  }).catch((error) => debug('telnet-console:logfile')('error after rotating', this.filename, error));
+}
+
+/** @returns an array of the rotated files' pathnames, oldest first */
+LogFile.prototype.rotatedFiles = async function LogFile$$rotatedFiles()
+{
+  const dir = path.dirname(this.filename);
+  const prefix = path.basename(this.filename) + '.';
+  const names = await fs.promises.readdir(dir);
+
+  return names.filter((name) => name.startsWith(prefix) && /^[0-9TZ.-]+(\.gz)?$/.test(name.slice(prefix.length)))
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+/** Remove all but the newest options.keep rotated files */
+LogFile.prototype.prune = async function LogFile$$prune()
+{
+  const files = await this.rotatedFiles();
+
+  for (let filename of files.slice(0, Math.max(0, files.length - this.options.keep)))
+  {
+    debug('telnet-console:logfile')('removing', filename);
+    await fs.promises.unlink(filename).catch(() => {});
+  }
+}
+
+/**
+ * Read the messages in the log file back, including the rotated files, oldest first. Entries have the
+ * same shape as those in the interceptor's buffer, except that inspectedArguments holds the whole
+ * message as a single string, and there is no arguments property.
+ *
+ * @param {function}    onEntry         function which is called with each entry
+ * @returns a Promise which resolves when every file has been read
+ */
+LogFile.prototype.read = async function LogFile$$read(onEntry)
+{
+  await this.pending;
+  for (let filename of (await this.rotatedFiles()).concat(this.filename))
+  {
+    if (fs.existsSync(filename))
+      await readLogFile(filename, onEntry);
+  }
+}
+
+/**
+ * Close the log file.
+ * @returns a Promise which resolves once everything written has been flushed, and rotated files
+ *          have been compressed
+ */
+LogFile.prototype.close = async function LogFile$$close()
+{
+  const stream = this.stream;
+
+  this.stream = undefined;
+  if (stream && !stream.destroyed)
+    await new Promise((resolve) => stream.end(resolve));
+  await this.pending;
+}
+
+/** Compress a file with gzip, replacing it with filename.gz */
+async function compressFile(filename)
+{
+  await pipeline(fs.createReadStream(filename), zlib.createGzip(), fs.createWriteStream(filename + '.gz', { mode: 0o600 }));
+  await fs.promises.unlink(filename);
+}
+
+/**
+ * Read a log file written by LogFile, in either format, compressed or not.
+ *
+ * @param {string}      filename        the file to read
+ * @param {function}    onEntry         function which is called with each entry; see LogFile::read()
+ * @returns a Promise which resolves when the file has been read
+ */
+async function readLogFile(filename, onEntry)
+{
+  const input = fs.createReadStream(filename);
+  const rl = readline.createInterface({ input: filename.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input, crlfDelay: Infinity });
+  var textEntry;
+
+  try
+  {
+    for await (let line of rl)
+    {
+      let match;
+
+      if (line[0] === '{')
+      {
+        let record;
+        try { record = JSON.parse(line) } catch(e) {};
+        if (record && record.level)
+          onEntry({ level: record.level, date: new Date(record.date), inspectedArguments: [ String(record.message) ], source: record.source });
+      }
+      else if ((match = textLineRegExp.exec(line)))
+      {
+        if (textEntry)
+          onEntry(textEntry);
+        textEntry = { level: match[2].toLowerCase(), date: new Date(match[1]), inspectedArguments: [ match[3] ] };
+      }
+      else if (textEntry && line.startsWith('  '))
+        textEntry.inspectedArguments[0] += '\n' + line.slice(2);
+    }
+    if (textEntry)
+      onEntry(textEntry);
+  }
+  finally
+  {
+    rl.close();
+    input.destroy();
+  }
+}
+exports.readLogFile = readLogFile;
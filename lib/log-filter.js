@@ -0,0 +1,220 @@
+/**
+ * @file        log-filter.js
+ *              Parsing and matching of the filters which the log command understands, e.g.
+ *              log 20 warn+ /database/i since 10m
+ *              log on error,warn /db/ !/heartbeat/ @lib/db
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+/**
+ * Severity of each log level, for level+ filters. Levels which are not listed here only match
+ * filters which name them.
+ */
+const levelRanks = {
+  debug:        0,
+  trace:        0,
+  log:          1,
+  info:         2,
+  warn:         3,
+  error:        4,
+  /* structured loggers' levels; see logger-adapters.js */
+  silly:        0,
+  verbose:      0,
+  http:         2,
+  fatal:        5,
+  /* console methods other than the levels; see ConsoleInterceptor */
+  table:        1,
+  dir:          1,
+  group:        1,
+  count:        1,
+  time:         1,
+  assert:       3,
+  /* process events; see ConsoleInterceptor's process option */
+  exit:               2,
+  warning:            3,
+  multipleResolves:   3,
+  uncaughtException:  5,
+  unhandledRejection: 5,
+};
+exports.levelRanks = levelRanks;
+
+/**
+ * Split a filter string into tokens on whitespace, keeping /regular expressions/ (and !/negated/
+ * ones) which contain whitespace together.
+ */
+function tokenize(str)
+{
+  const tokens = [];
+  var i = 0;
+
+  while (i < str.length)
+  {
+    let start;
+
+    while (i < str.length && /\s/.test(str[i]))
+      i++;
+    if (i === str.length)
+      break;
+
+    start = i;
+    if (str[i] === '!' && str[i + 1] === '/')
+      i++;
+    if (str[i] === '/')
+    {
+      for (i++; i < str.length && str[i] !== '/'; i++)
+      {
+        if (str[i] === '\\')
+          i++;
+      }
+    }
+    while (i < str.length && !/\s/.test(str[i]))
+      i++;
+    tokens.push(str.slice(start, i));
+  }
+
+  return tokens;
+}
+
+/** Parse a /regular expression/flags token */
+function parseRegExp(token)
+{
+  const match = /^\/(.*)\/([a-z]*)$/.exec(token);
+
+  if (!match)
+    throw new Error(`invalid regular expression ${token}`);
+
+  return new RegExp(match[1], match[2]);
+}
+
+/**
+ * Parse a time for since and until. Understands
+ * - durations, meaning that long ago: 500ms, 30s, 10m, 2h, 1d
+ * - times of day, meaning today: 14:30, 14:30:15
+ * - anything Date.parse() understands, e.g. 2026-10-19T14:30:00Z
+ *
+ * @returns an instance of Date
+ */
+function parseTime(str)
+{
+  const units = { ms: 1, s: 1e3, m: 60e3, h: 3600e3, d: 86400e3 };
+  var match, date;
+
+  if ((match = /^([0-9.]+)(ms|s|m|h|d)$/.exec(str)))
+    return new Date(Date.now() - Number(match[1]) * units[match[2]]);
+
+  if ((match = /^([0-9]{1,2}):([0-9]{2})(?::([0-9]{2}))?$/.exec(str)))
+  {
+    date = new Date();
+    date.setHours(Number(match[1]), Number(match[2]), Number(match[3] || 0), 0);
+    return date;
+  }
+
+  date = new Date(str);
+  if (isNaN(date.getTime()))
+    throw new Error(`invalid time ${str}`);
+
+  return date;
+}
+
+/** Parse a level filter such as warn+ or error,warn */
+function parseLevels(token, filter)
+{
+  for (let level of token.split(','))
+  {
+    if (level.endsWith('+'))
+    {
+      level = level.slice(0, -1);
+      if (!levelRanks.hasOwnProperty(level))
+        throw new Error(`unknown level ${level}`);
+      filter.minRank = Math.min(filter.minRank === undefined ? Infinity : filter.minRank, levelRanks[level]);
+    }
+    else
+      filter.levels.push(level);
+  }
+}
+
+/**
+ * Parse a log filter. The filter is a string of space-separated terms, all of which must match:
+ * - N              only the last N matching entries
+ * - level[,level]  entries at any of these levels; level+ means this level or more severe, and a
+ *                  trailing * matches levels starting with the rest, e.g. debug:* for every debug namespace
+ * - /regexp/flags  entries whose inspected arguments match the regular expression
+ * - !/regexp/flags entries whose inspected arguments do not match the regular expression
+ * - @source        entries logged from a file whose path contains source; when there are several,
+ *                  entries from any of them
+ * - since <time>   entries logged at or after time; see parseTime
+ * - until <time>   entries logged at or before time
+ *
+ * @returns a filter object for matchLogFilter()
+ */
+exports.parseLogFilter = function logFilter$$parseLogFilter(str)
+{
+  const tokens = tokenize(str || '');
+  const filter = { levels: [], include: [], exclude: [], sources: [] };
+
+  while (tokens.length)
+  {
+    let token = tokens.shift();
+
+    if (/^[0-9]+$/.test(token))
+      filter.count = Number(token);
+    else if (token[0] === '/')
+      filter.include.push(parseRegExp(token));
+    else if (token.startsWith('!/'))
+      filter.exclude.push(parseRegExp(token.slice(1)));
+    else if (token[0] === '@' && token.length > 1)
+      filter.sources.push(token.slice(1));
+    else if (token === 'since' || token === 'until')
+    {
+      if (!tokens.length)
+        throw new Error(`${token} requires a time`);
+      filter[token] = parseTime(tokens.shift());
+    }
+    else if (/^[a-zA-Z][\w:,+*-]*$/.test(token))
+      parseLevels(token, filter);
+    else
+      throw new Error(`invalid filter ${token}`);
+  }
+
+  return filter;
+}
+
+/**
+ * Decide whether a log entry (see ConsoleInterceptor) matches a filter made by parseLogFilter(). Source
+ * filters only match entries which have a source property.
+ */
+exports.matchLogFilter = function logFilter$$matchLogFilter(filter, entry)
+{
+  if (filter.levels.length || filter.minRank !== undefined)
+  {
+    const rank = levelRanks[entry.level];
+    const named = filter.levels.some((level) => level === entry.level || (level.endsWith('*') && String(entry.level).startsWith(level.slice(0, -1))));
+    if (!named && !(rank !== undefined && rank >= filter.minRank))
+      return false;
+  }
+
+  if (filter.since && !(entry.date >= filter.since))
+    return false;
+  if (filter.until && !(entry.date <= filter.until))
+    return false;
+
+  if (filter.sources.length)
+  {
+    if (!entry.source || !filter.sources.some((source) => entry.source.file.includes(source)))
+      return false;
+  }
+
+  if (filter.include.length || filter.exclude.length)
+  {
+    const text = (entry.inspectedArguments || []).join(' ').replace(/\x1b\[[0-9;]*m/g, ''); /* no colours */
+    const test = (re) => { re.lastIndex = 0; return re.test(text) };
+
+    if (!filter.include.every(test) || filter.exclude.some(test))
+      return false;
+  }
+
+  return true;
+}
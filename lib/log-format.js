@@ -0,0 +1,126 @@
+/**
+ * @file        log-format.js
+ *              Formatting of log lines for display in telnet clients. A format is a template in which
+ *              the following placeholders are replaced:
+ *              - {date}     local date, YYYY-MM-DD
+ *              - {time}     local time, HH:MM:SS.mmm
+ *              - {iso}      ISO 8601 date and time, UTC
+ *              - {elapsed}  seconds since the process started, e.g. +123.456s
+ *              - {level}    level tag, e.g. WARN; coloured when colours are on
+ *              - {source}   file:line the message was logged from, relative to the current directory
+ *              - {message}  the message itself
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const path = require('path');
+const process = require('process');
+
+/** Named formats which can be used instead of templates */
+exports.logFormats = {
+  default:      '{message}',
+  short:        '{time} {level} {message}',
+  long:         '{iso} {level} {source} {message}',
+  elapsed:      '[{elapsed}] {level} {message}',
+};
+
+const levelColors = {
+  debug:        '\x1b[90m', /* grey */
+  trace:        '\x1b[90m',
+  log:          '',
+  info:         '\x1b[32m', /* green */
+  warn:         '\x1b[33m', /* yellow */
+  error:        '\x1b[31m', /* red */
+  fatal:        '\x1b[91m', /* bright red */
+  assert:       '\x1b[33m',
+  uncaughtException:  '\x1b[91m', /* bright red */
+  unhandledRejection: '\x1b[91m',
+  multipleResolves:   '\x1b[33m',
+  warning:            '\x1b[33m',
+  exit:               '\x1b[35m', /* magenta */
+};
+exports.levelColors = levelColors;
+const otherLevelColor = '\x1b[36m'; /* cyan */
+
+/** Remove terminal colours, and other escape sequences, from a string */
+exports.stripColors = function logFormat$$stripColors(str)
+{
+  return str.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+}
+
+function pad(n, width)
+{
+  return String(n).padStart(width || 2, '0');
+}
+
+/** Format the source of a log entry as file:line */
+function formatSource(source)
+{
+  var file;
+
+  if (!source)
+    return '-';
+
+  file = source.file.replace(/^file:\/\//, '');
+  if (path.isAbsolute(file) && file.startsWith(process.cwd() + path.sep))
+    file = path.relative(process.cwd(), file);
+
+  return `${file}:${source.line}`;
+}
+
+/**
+ * Expand a log format for a log entry. The message is not expanded here; instead, the text before
+ * and after the {message} placeholder is returned, so that the caller can write the message out
+ * piece by piece.
+ *
+ * @param {object}      entry           the log entry (see ConsoleInterceptor)
+ * @param {string}      format          a template or the name of a format in logFormats
+ * @param {object}      options         optional; may include
+ *                                      - colors: true to colour the level tag
+ *
+ * @returns { before, after }
+ */
+exports.formatLogEntry = function logFormat$$formatLogEntry(entry, format, options)
+{
+  const date = entry.date || new Date();
+  const colors = options && options.colors;
+  var template = exports.logFormats.hasOwnProperty(format) ? exports.logFormats[format] : (format || '{message}');
+  var parts;
+
+  if (template === '{message}') /* fast path for the default format */
+    return { before: '', after: '' };
+
+  function expand(str)
+  {
+    return str.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      switch (name)
+      {
+        case 'date':
+          return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        case 'time':
+          return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+        case 'iso':
+          return date.toISOString();
+        case 'elapsed':
+          return '+' + ((date.getTime() - (Date.now() - 1e3 * process.uptime())) / 1e3).toFixed(3) + 's';
+        case 'level':
+        {
+          const tag = String(entry.level).toUpperCase().padEnd(5);
+          if (!colors)
+            return tag;
+          const color = levelColors.hasOwnProperty(entry.level) ? levelColors[entry.level] : otherLevelColor;
+          return color ? `${color}${tag}\x1b[39m` : tag;
+        }
+        case 'source':
+          return formatSource(entry.source);
+        default:
+          return placeholder;
+      }
+    });
+  }
+
+  parts = template.split('{message}');
+  return { before: expand(parts[0]), after: expand(parts.slice(1).join('')) };
+}
@@ -0,0 +1,113 @@
+/**
+ * @file        logger-adapters.js
+ *              Adapters which feed structured loggers into a ConsoleInterceptor, so that their messages show up
+ *              in the telnet console like console.log() calls. Loggers such as pino, bunyan and winston can all
+ *              write to a stream; createLogStream() makes a stream which understands what they write:
+ *
+ *              pino:    pino(pino.multistream([ { stream: process.stdout }, { stream: createLogStream(ci) } ]))
+ *              bunyan:  bunyan.createLogger({ name, streams: [ { stream: createLogStream(ci) } ] })
+ *              winston: winston.createLogger({ transports: [ new winston.transports.Stream({ stream: createLogStream(ci) }) ] })
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const { Writable } = require('stream');
+
+/** Properties of log records which are about the process rather than the message, and are left out of fields */
+const defaultOmit = [ 'pid', 'hostname', 'v' ];
+
+/**
+ * Turn a log record written by a structured logger into an entry for ConsoleInterceptor::push(). The
+ * message comes from msg (pino, bunyan) or message (winston), the date from time (pino, bunyan) or
+ * timestamp (winston), and every other property, except those in options.omit, becomes a field.
+ */
+function recordToEntry(record, options)
+{
+  const fields = {};
+  const entry = { level: record.level === undefined ? options.level : record.level };
+
+  for (let key of Object.keys(record))
+  {
+    if (key === 'level' || options.omit.includes(key))
+      continue;
+    if (key === options.messageKey || (!options.messageKey && (key === 'msg' || key === 'message')))
+      entry.message = record[key];
+    else if (key === options.timeKey || (!options.timeKey && (key === 'time' || key === 'timestamp')))
+      entry.date = record[key];
+    else
+      fields[key] = record[key];
+  }
+
+  if (entry.message === undefined)
+    entry.message = '';
+  entry.fields = fields;
+
+  return entry;
+}
+
+/**
+ * Create a writable stream which pushes what structured loggers write to it into a ConsoleInterceptor.
+ * The stream accepts newline-delimited JSON (pino, bunyan, winston's json format), plain objects (bunyan's
+ * raw streams), and plain text, which is recorded a line at a time at options.level.
+ *
+ * @param {object}      ci              the ConsoleInterceptor; e.g. the return value of start()
+ * @param {object}      options         optional; may include
+ *                                      - level:      level for text lines and records without one; default='log'
+ *                                      - messageKey: property holding the message; default=msg or message
+ *                                      - timeKey:    property holding the time; default=time or timestamp
+ *                                      - omit:       properties to leave out of the fields; default=[pid, hostname, v]
+ *
+ * @returns a Writable stream
+ */
+exports.createLogStream = function loggerAdapters$$createLogStream(ci, options)
+{
+  var partial = '';
+
+  options = Object.assign({ level: 'log', omit: defaultOmit }, options);
+
+  function pushLine(line)
+  {
+    var record;
+
+    if (!line.trim())
+      return;
+    if (line[0] === '{')
+    {
+      try { record = JSON.parse(line) } catch(e) {};
+    }
+    if (record && typeof record === 'object')
+      ci.push(recordToEntry(record, options));
+    else
+      ci.push({ level: options.level, message: line });
+  }
+
+  return new Writable({
+    objectMode: true,
+    write(chunk, encoding, callback) {
+      try
+      {
+        if (typeof chunk === 'string' || Buffer.isBuffer(chunk))
+        {
+          const lines = (partial + chunk.toString()).split('\n');
+          partial = lines.pop();
+          lines.forEach((line) => pushLine(line.replace(/\r$/, '')));
+        }
+        else if (chunk && typeof chunk === 'object')
+          ci.push(recordToEntry(chunk, options));
+      }
+      catch(error)
+      {
+        return callback(error);
+      }
+      callback();
+    },
+    final(callback) {
+      if (partial)
+        pushLine(partial);
+      partial = '';
+      callback();
+    },
+  });
+}
@@ -0,0 +1,152 @@
+/**
+ * @file        profiler.js
+ *              Heap statistics, heap snapshots and CPU profiles of the running process, for the heap,
+ *              heapsnapshot and profile commands. Snapshots and profiles are taken through the inspector
+ *              module, so the process doesn't need to be started with --inspect; they are written in the
+ *              formats Chrome DevTools loads (.heapsnapshot, .cpuprofile).
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const fs = require('fs');
+const v8 = require('v8');
+const util = require('util');
+const inspector = require('inspector');
+const debug = require('debug');
+
+/** Make a filename like the ones Node uses for diagnostic files, e.g. Heap.20261019.143000.1234.heapsnapshot */
+function defaultFilename(prefix, extension)
+{
+  const iso = new Date().toISOString();
+  return `${prefix}.${iso.slice(0, 10).replace(/-/g, '')}.${iso.slice(11, 19).replace(/:/g, '')}.${process.pid}.${extension}`;
+}
+exports.defaultFilename = defaultFilename;
+
+/**
+ * @returns v8's heap statistics, plus the statistics for each heap space keyed by space name
+ */
+exports.heapStatistics = function profiler$$heapStatistics()
+{
+  const spaces = {};
+
+  for (let space of v8.getHeapSpaceStatistics())
+  {
+    spaces[space.space_name] = {
+      size:      space.space_size,
+      used:      space.space_used_size,
+      available: space.space_available_size,
+      physical:  space.physical_space_size,
+    };
+  }
+
+  return { heap: v8.getHeapStatistics(), spaces };
+}
+
+/**
+ * Write a heap snapshot to a file. The snapshot is taken synchronously, so the process does nothing else
+ * until it has been written. The file is created with mode 0600, since the heap holds whatever secrets the
+ * process does.
+ *
+ * @param {string}      filename        the file to write
+ *
+ * @returns a Promise which resolves to the number of bytes written
+ */
+exports.writeHeapSnapshot = async function profiler$$writeHeapSnapshot(filename)
+{
+  const session = new inspector.Session();
+  const fd = fs.openSync(filename, 'w', 0o600);
+  var bytes = 0;
+
+  session.connect();
+  session.on('HeapProfiler.addHeapSnapshotChunk', (message) => {
+    bytes += fs.writeSync(fd, message.params.chunk);
+  });
+
+  try
+  {
+    await util.promisify(session.post.bind(session))('HeapProfiler.takeHeapSnapshot', { reportProgress: false });
+  }
+  finally
+  {
+    session.disconnect();
+    fs.closeSync(fd);
+  }
+
+  debug('telnet-console:profiler')('wrote heap snapshot', filename, bytes, 'bytes');
+  return bytes;
+}
+
+/**
+ * A CPU profiler; profiles are started and stopped with the methods below, and written as .cpuprofile files.
+ */
+function CpuProfiler()
+{
+}
+exports.CpuProfiler = CpuProfiler;
+
+/**
+ * Start profiling.
+ * @param {number}      interval        optional; sampling interval in microseconds
+ * @returns a Promise which resolves once the profiler is running
+ */
+CpuProfiler.prototype.start = async function CpuProfiler$$start(interval)
+{
+  if (this.session)
+    throw new Error('profiler is already running');
+
+  this.session = new inspector.Session();
+  this.session.connect();
+  this.post = util.promisify(this.session.post.bind(this.session));
+  this.started = new Date();
+
+  try
+  {
+    await this.post('Profiler.enable');
+    if (interval)
+      await this.post('Profiler.setSamplingInterval', { interval });
+    await this.post('Profiler.start');
+  }
+  catch(error)
+  {
+    this.close();
+    throw error;
+  }
+}
+
+/**
+ * Stop profiling and write the profile to a file, with mode 0600.
+ * @returns a Promise which resolves to the number of samples in the profile
+ */
+CpuProfiler.prototype.stop = async function CpuProfiler$$stop(filename)
+{
+  var result;
+
+  if (!this.session)
+    throw new Error('profiler is not running');
+
+  try
+  {
+    result = await this.post('Profiler.stop');
+  }
+  finally
+  {
+    this.close();
+  }
+
+  await fs.promises.writeFile(filename, JSON.stringify(result.profile), { mode: 0o600 });
+  debug('telnet-console:profiler')('wrote cpu profile', filename);
+
+  return (result.profile.samples || []).length;
+}
+
+/** Stop profiling, if we are, without writing the profile anywhere */
+CpuProfiler.prototype.close = function CpuProfiler$$close()
+{
+  if (this.session)
+    this.session.disconnect();
+  this.session = undefined;
+  this.post = undefined;
+  this.started = undefined;
+}
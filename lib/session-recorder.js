@@ -0,0 +1,172 @@
+/**
+ * @file        session-recorder.js
+ *              Record terminal sessions to asciicast v2 files (https://docs.asciinema.org/manual/asciicast/v2/)
+ *              and play them back.
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const debug = require('debug');
+
+const IAC = 255, SB = 250, SE = 240, WILL = 251, DONT = 254;
+
+/**
+ * Create a session recorder which writes an asciicast v2 file. The file is created with mode 0600,
+ * since sessions may contain sensitive information.
+ *
+ * @param {string}      filename        the file to write
+ * @param {object}      header          properties for the asciicast header, e.g. width, height, title, env
+ */
+function SessionRecorder(filename, header)
+{
+  this.filename = filename;
+  this.start = Date.now();
+  this.stream = fs.createWriteStream(filename, { mode: 0o600 });
+  this.stream.on('error', (error) => {
+    debug('telnet-console:record')('error writing', filename, error);
+    this.close();
+  });
+  this.writeLine(Object.assign({ version: 2, width: 80, height: 24, timestamp: Math.floor(this.start / 1000) }, header));
+  debug('telnet-console:record')('recording to', filename);
+}
+exports.SessionRecorder = SessionRecorder;
+
+SessionRecorder.prototype.writeLine = function SessionRecorder$$writeLine(json)
+{
+  if (this.stream && this.stream.writable)
+    this.stream.write(JSON.stringify(json) + '\n');
+}
+
+/** Record an event of the given type ('o', 'r', 'm') */
+SessionRecorder.prototype.event = function SessionRecorder$$event(type, data)
+{
+  this.writeLine([ (Date.now() - this.start) / 1000, type, data ]);
+}
+
+/** Record output to the terminal; telnet protocol commands are left out */
+SessionRecorder.prototype.output = function SessionRecorder$$output(chunk)
+{
+  var data = Buffer.isBuffer(chunk) ? stripTelnetCommands(chunk).toString('utf8') : String(chunk);
+
+  if (data.length)
+    this.event('o', data);
+}
+
+/** Record a change in terminal size */
+SessionRecorder.prototype.resize = function SessionRecorder$$resize(columns, rows)
+{
+  this.event('r', `${columns}x${rows}`);
+}
+
+/**
+ * Stop recording.
+ * @returns a Promise which resolves once the file has been flushed
+ */
+SessionRecorder.prototype.close = function SessionRecorder$$close()
+{
+  const stream = this.stream;
+
+  this.stream = undefined;
+  if (!stream || stream.destroyed)
+    return Promise.resolve();
+
+  return new Promise((resolve) => stream.end(resolve));
+}
+
+/**
+ * Remove telnet commands (IAC sequences) from a buffer of output. Since 0xff never appears in UTF-8,
+ * the only other use of IAC is as IAC IAC, which means a literal 0xff.
+ */
+function stripTelnetCommands(buf)
+{
+  var out, i, j;
+
+  if (!buf.includes(IAC))
+    return buf;
+
+  out = Buffer.alloc(buf.length);
+  for (i = 0, j = 0; i < buf.length; i++)
+  {
+    if (buf[i] !== IAC)
+      out[j++] = buf[i];
+    else if (buf[i + 1] === IAC)
+      out[j++] = buf[++i];
+    else if (buf[i + 1] >= WILL && buf[i + 1] <= DONT)
+      i += 2;
+    else if (buf[i + 1] === SB)
+    {
+      while (i < buf.length && !(buf[i] === IAC && buf[i + 1] === SE))
+        i++;
+      i++;
+    }
+    else
+      i++;
+  }
+
+  return out.slice(0, j);
+}
+
+/**
+ * Play an asciicast v2 file back, writing its output events to a stream with their original timing.
+ *
+ * @param {string}      filename        the file to play
+ * @param {function}    write           function which writes output data, e.g. to a client
+ * @param {object}      options         optional; may include
+ *                                      - speed:         playback speed multiplier; default=1
+ *                                      - idleTimeLimit: longest pause in seconds; default=2
+ *                                      - isStopped:     function which returns true to stop playback early
+ *
+ * @returns a Promise which resolves to the asciicast header when playback has finished
+ */
+exports.replay = async function sessionRecorder$$replay(filename, write, options)
+{
+  const input = fs.createReadStream(filename);
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  var header, prevTime = 0;
+
+  options = Object.assign({ speed: 1, idleTimeLimit: 2, isStopped: () => false }, options);
+
+  try
+  {
+    for await (let line of rl)
+    {
+      let ev;
+
+      if (!line.trim())
+        continue;
+      if (!header)
+      {
+        try { header = JSON.parse(line); } catch(e){};
+        if (!header || header.version !== 2)
+          throw new Error(`${filename} is not an asciicast v2 file`);
+        continue;
+      }
+
+      ev = JSON.parse(line);
+      if (!Array.isArray(ev) || typeof ev[0] !== 'number')
+        throw new Error(`${filename}: invalid event ${line.slice(0, 40)}`);
+      await sleepMs(1000 * Math.min(options.idleTimeLimit, ev[0] - prevTime) / options.speed);
+      prevTime = ev[0];
+      if (options.isStopped())
+        break;
+      if (ev[1] === 'o')
+        write(ev[2]);
+    }
+  }
+  finally
+  {
+    rl.close();
+    input.destroy();
+  }
+
+  return header;
+}
+
+function sleepMs(ms)
+{
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
@@ -7,7 +7,10 @@
  *
  * require('telnet-console').start(options, function tcEval() { return eval(arguments[0]) });
  *
- * Note: this library exists as a singleton.
+ * Each TelnetConsole instance owns its own server, clients, commands and console interceptor,
+ * so that one process can run several consoles (e.g. on different ports with different
+ * command sets). The start() and stop() exports manage instances on behalf of callers who
+ * only need one.
  *
  * @author      Wes Garland, wes@kingsds.network
  * @date        Sep 2020, Jun 2021, Dec 2021
@@ -18,22 +21,79 @@ const telnet = require('telnet');
 const process = require('process');
 const os = require('os');
 const path = require('path');
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
 const util = require('node:util');
 const { humanFriendlyTimeInterval } = require('./human-friendly-time-interval');
 const { leafMerge } = require('./leaf-merge');
-const { expandPath } = require('./expand-path');
+const { expandPath, confinePath } = require('./expand-path');
 const debug = require('debug');
 const { readln } = require('./readln');
+const { addressFilter } = require('./address-filter');
+const { authFactory, LoginThrottle } = require('./auth');
+const { AuditTrail } = require('./audit');
+const { SessionRecorder, replay } = require('./session-recorder');
+const { parseLogFilter, matchLogFilter } = require('./log-filter');
+const { importBuffer } = require('./intercept-console');
+const { formatLogEntry, logFormats, stripColors } = require('./log-format');
+const { renderTable } = require('./console-table');
+const { heapStatistics, writeHeapSnapshot, CpuProfiler, defaultFilename } = require('./profiler');
+const { TopSampler, renderTop } = require('./top');
+const { HandleTracker, activeHandles, resourceCounts } = require('./handles');
+const { Watchdog } = require('./watchdog');
+const { parsePath, traceFunction } = require('./trace');
 
-const registry = [];
-
-var help, commands;
+/* consoles started via exports.start(), so that exports.stop() can find them */
+const startedConsoles = [];
 
 /**
- * Start the REPL(s)
+ * Create a telnet console. Nothing is started until the start method is invoked.
+ *
  * @param       {object}        options                 configuration options for configuring telnetd,
  *                                                      the repl, etc. Options include:
  *                                                      - port:         tcp port to listen on or false
+ *                                                      - host:         address to listen on; default=all interfaces
+ *                                                      - allow:        array of CIDR blocks which may connect
+ *                                                      - deny:         array of CIDR blocks which may not connect
+ *                                                      - path:         unix domain socket to listen on instead of port
+ *                                                      - socketMode:   file mode for the unix domain socket, e.g. 0o600
+ *                                                      - socketOwner:  uid or login name to own the unix domain socket
+ *                                                      - socketGroup:  gid or group name to own the unix domain socket
+ *                                                      - loginAttempts: failed logins before disconnecting a client
+ *                                                      - loginTimeout: seconds a client has to log in
+ *                                                      - lockoutFailures: failed logins from one address, or for one
+ *                                                                      login, which lock it out for lockoutWindow
+ *                                                      - lockoutWindow: seconds over which failed logins are counted
+ *                                                      - roles:        object whose keys are role names and values are
+ *                                                                      { allow: [commands], deny: [commands], eval: boolean }
+ *                                                      - userRoles:    object whose keys are logins and values are role
+ *                                                                      names, or function(login, client) returning a role name
+ *                                                      - defaultRole:  role for logins without one; default=unrestricted
+ *                                                      - auditFile:    file to append the audit trail to, as JSON lines
+ *                                                      - recordDir:    directory to record sessions into, as asciicast v2 files
+ *                                                      - exportDir:    directory which log export, log import, heapsnapshot
+ *                                                                      and profile files are confined to
+ *                                                      - logFormat:    how to format log messages; see log-format.js
+ *                                                      - logFiles:     file(s) to write log messages to; see log-file.js
+ *                                                      - logStreams:   true, or [ 'stdout', 'stderr' ], to log what is written to
+ *                                                                      process.stdout/stderr other than by the console
+ *                                                      - logDebug:     true, or the application's debug package, to log debug output
+ *                                                      - logProcessEvents: true, or an array of event names, to log process events
+ *                                                                      such as uncaughtException; shown to every session
+ *                                                      - logSource:    true to record where each log message came from, so
+ *                                                                      that logs can be filtered by @source; default=false,
+ *                                                                      since it costs a stack trace per message
+ *                                                      - trackHandles: true to track where handles and timers are created
+ *                                                                      from start-up, for the handles command
+ *                                                      - watchdog:     { interval, delay, heap, rss, clear, repeat } to alert every
+ *                                                                      session when these thresholds are crossed; see watchdog.js
+ *                                                      - tlsKey:       private key file; enables TLS along with tlsCert
+ *                                                      - tlsCert:      certificate file
+ *                                                      - tlsCa:        CA certificate file(s) for verifying client certificates
+ *                                                      - tlsClientCert: true to require a client certificate signed by tlsCa
+ *                                                      - tlsLogin:     subject field, or function(peerCertificate), which
+ *                                                                      maps a client certificate to a login
  *                                                      - eval:         eval-like function that is used
  *                                                                      to evaluate REPL commands in the
  *                                                                      desired scope
@@ -43,13 +103,24 @@ var help, commands;
  * @param       {object}        replHelpers...          One or more objects with two properties, 'commands' and 'help', where
  *                                                      - commands is an Object with key,value pairs of command,function of extra commands to add to the REPL
  *                                                      - help is an Object with key,value pairs of command,text of help for extra commands
- *
- * @returns the instance of ConsoleInterceptor that this daemon is using; can be used to reestablish interception when interrupted.
  */
-exports.start = function tc$$start(options, ...replHelpers)
+function TelnetConsole(options, ...replHelpers)
 {
-  options = leafMerge({
+  this.options = leafMerge({
     port:            2323,
+    host:            undefined, /* listen on all interfaces */
+    allow:           undefined, /* [ cidr, ... ] */
+    deny:            undefined, /* [ cidr, ... ] */
+    path:            undefined, /* unix domain socket; overrides port */
+    socketMode:      undefined,
+    socketOwner:     undefined,
+    socketGroup:     undefined,
+    tlsKey:          undefined, /* filename */
+    tlsCert:         undefined, /* filename */
+    tlsCa:           undefined, /* filename or [ filename, ... ] */
+    tlsPassphrase:   undefined,
+    tlsClientCert:   false,
+    tlsLogin:        'CN',      /* subject field or function(peerCertificate) => login */
     stdio:           false,
     eval:            /* indirect */ eval,
     prompt:          '> ',
@@ -61,52 +132,149 @@ exports.start = function tc$$start(options, ...replHelpers)
     callbackStdio:   false,
     delayStart:      false,
     bufferLines:     1000,
-    users:           undefined, /* { login: password } or function(login,password) => bool */
+    bufferBytes:     64 * 1024 * 1024, /* approximate; 0 for no limit */
+    logSource:       false,
+    logFormat:       'default', /* name of a format in log-format.js, or a template */
+    logFiles:        undefined, /* filename, { filename, format, maxSize, maxAge, keep, compress }, or array of these */
+    logStreams:      false,     /* true or [ 'stdout', 'stderr' ] */
+    logDebug:        false,     /* true or require('debug') */
+    logProcessEvents: false,    /* true or [ 'uncaughtException', 'unhandledRejection', 'warning', 'multipleResolves', 'exit' ] */
+    trackHandles:    false,
+    watchdog:        undefined, /* { interval, delay, heap, rss, clear, repeat } */
+    users:           undefined, /* { login: password }, users filename, async function(login,password,client) => bool, or array of these */
+    loginAttempts:   3,
+    loginTimeout:    60,        /* seconds */
+    lockoutFailures: 5,
+    lockoutWindow:   300,       /* seconds */
+    roles:           undefined, /* { name: { allow: [ command, ... ], deny: [ command, ... ], eval: bool } } */
+    userRoles:       undefined, /* { login: roleName } or function(login, client) => roleName */
+    defaultRole:     undefined, /* unrestricted */
+    auditFile:       undefined, /* filename */
+    recordDir:       undefined, /* directory name */
+    exportDir:       undefined, /* directory name */
   }, options);
 
-  const ci = new (require('./intercept-console').ConsoleInterceptor)({ inspect: { colors: true }, keep: options.bufferLines});
+  this.registry = [];   /* connected clients */
+  this.timers   = [];   /* intervals created by the timer command */
+  this.profiler = new CpuProfiler(); /* used by the profile command */
+  this.handleTracker = new HandleTracker(); /* used by the handles command */
+  this.watchdog = new Watchdog((ev) => watchdogAlert(this, ev));
+  this.spies    = [];   /* functions traced by the trace command */
+  this.loginThrottle = new LoginThrottle(this.options.lockoutFailures, this.options.lockoutWindow * 1000);
+  this.help     = Object.assign({}, defaultHelp);
+  this.commands = Object.assign({}, defaultCommands);
+  for (let el of replHelpers)
+  {
+    Object.assign(this.help,     el.help);
+    Object.assign(this.commands, el.commands);
+  }
+  if (!this.commands.help)
+    this.commands.help = (args, client) => args ? this.help[args] : Object.keys(leafMerge({}, this.commands, this.help)).filter((word) => {
+      if (this.commands.hasOwnProperty(word))
+        return mayRunCommand(client, word, this.commands[word]);
+      return mayEvaluate(client); /* keep, last, etc */
+    });
+}
+exports.TelnetConsole = TelnetConsole;
+
+/**
+ * Start the REPL(s)
+ *
+ * @returns the instance of ConsoleInterceptor that this console is using; can be used to reestablish interception when interrupted.
+ */
+TelnetConsole.prototype.start = function TelnetConsole$$start()
+{
+  const that = this;
+  const options = this.options;
+  this.isAddressAllowed = addressFilter(options.allow, options.deny);
+  this.auditTrail = new AuditTrail(options.auditFile);
+  if (options.recordDir)
+    fs.mkdirSync(expandPath(options.recordDir), { recursive: true, mode: 0o700 });
+  if (options.users)
+    this.authenticate = authFactory(options.users);
+  if (options.trackHandles)
+    this.handleTracker.enable();
+  if (options.watchdog)
+    this.watchdog.configure(options.watchdog).start();
+  const ci = this.ci = new (require('./intercept-console').ConsoleInterceptor)({ inspect: { colors: true }, keep: options.bufferLines, keepBytes: options.bufferBytes,
+                                                                                  source: options.logSource,
+                                                                                  files: options.logFiles, streams: options.logStreams,
+                                                                                  debug: options.logDebug, process: options.logProcessEvents });
 
-  if (options.port || options.port === 0)
+  if (options.path || options.port || options.port === 0)
   {
-    const server = telnet.createServer((client) => handleNewClient(client, ci, options));
+    const socketPath = this.socketPath = expandPath(options.path);
+    let server;
+
+    if (options.tlsKey || options.tlsCert)
+    {
+      /* The telnet protocol handling wraps any duplex stream, so it runs over TLS just as it does over TCP */
+      server = tls.createServer(tlsOptionsFactory(options), (socket) => handleNewClient(new telnet.Socket(socket, socket), that));
+    }
+    else
+      server = telnet.createServer((client) => handleNewClient(client, that));
+    this.server = server;
+
     /* Emit all server events as though they were our own. Note that Server<listening> probably can't be
      * trapped without using the delayStart option, nor will Server<error> on start-up errors. Use the
      * callbackTelnet callback to handle these cases.
      */
-    for (let eventName of [ 'close', 'connection', 'error', 'listening', 'drop' ])
-      server.on(eventName, function tc$$serverEventWrapper() { ci.emit.apply(ci, arguments) });
+    for (let eventName of [ 'close', 'connection', 'error', 'listening', 'drop', 'tlsClientError' ])
+      server.on(eventName, function tc$$serverEventWrapper() { ci.emit.call(ci, eventName, ...arguments) });
 
     if (options.callbackTelnet)
       server.on('error', options.callbackTelnet);
 
     server.on('listening', () => {
-      debug('telnet-console:net')('listening');
+      debug('telnet-console:net')('listening on', socketPath || server.address().port);
+      if (socketPath)
+      {
+        try
+        {
+          setSocketPermissions(socketPath, options);
+        }
+        catch(error)
+        {
+          /* better to not serve at all than to serve on a socket with the wrong permissions */
+          server.close();
+          server.emit('error', error);
+          return;
+        }
+      }
+
+      if (!options.callbackTelnet)
+        return;
       server.off('error', options.callbackTelnet);
-      options.callbackTelnet(server.address().port, server, registry);
+      options.callbackTelnet(socketPath || server.address().port, server, that.registry);
     });
 
+    function listen()
+    {
+      if (!socketPath)
+      {
+        server.listen(options.port, options.host);
+        return;
+      }
+
+      removeStaleSocket(socketPath).then(() => {
+        if (that.server !== server) /* stopped while we were checking */
+          return;
+        listenPrivately(server, socketPath);
+      }).catch((error) => server.emit('error', error));
+    }
+
     if (options.delayStart)
-      process.setImmediate(() => server.listen(options.port));
+      this.delayedListen = setImmediate(listen);
     else
-      server.listen(options.port);
-  }
-
-  help     = Object.assign({}, defaultHelp);
-  commands = Object.assign({}, defaultCommands);
-  for (let el of replHelpers)
-  {
-    Object.assign(help,     el.help);
-    Object.assign(commands, el.commands);
+      listen();
   }
-  if (!commands.help)
-    commands.help = (args) => args ? help[args] : Object.keys(leafMerge({}, commands, help));
 
   /* Start a REPL on stdio if it's a terminal */
   if (process.stdin.isTTY
       && options.stdio === true
       && !(require('module')._cache.niim instanceof require('module').Module))
   {
-    let stdioRepl =  require('repl').start(leafMerge(options, { eval: evalWrapperFactory(options) } ));
+    const stdioRepl = this.stdioRepl = require('repl').start(leafMerge(options, { eval: evalWrapperFactory(this) } ));
 
     if (options.histfile && stdioRepl.setupHistory)
       stdioRepl.setupHistory(expandPath(options.histfile), () => {});
@@ -121,7 +289,137 @@ exports.start = function tc$$start(options, ...replHelpers)
 }
 
 /**
- * Write a captured log entry to the given client.
+ * Stop the REPL(s): stop listening, end every connected session, stop the timers created by
+ * the timer command, stop profiling, tracking handles and the watchdog, untrace traced functions,
+ * close the stdio REPL, and put the original console methods back.
+ *
+ * @returns a Promise which resolves once the telnet server has closed.
+ */
+TelnetConsole.prototype.stop = async function TelnetConsole$$stop()
+{
+  debug('telnet-console:repl')('stopping');
+
+  clearImmediate(this.delayedListen);
+  this.delayedListen = undefined;
+
+  while (this.timers.length)
+    clearInterval(this.timers.pop().timer);
+  this.profiler.close();
+  this.handleTracker.disable();
+  this.watchdog.stop();
+  while (this.spies.length)
+    this.spies.pop().record.restore();
+
+  for (let client of this.registry.slice())
+  {
+    try { client.write('\r\n*** telnet console shutting down ***\r\n'); } catch(e){};
+    if (client.repl)
+      client.repl.close();
+    client.cleanup();
+  }
+
+  if (this.stdioRepl)
+  {
+    this.stdioRepl.close();
+    this.stdioRepl = undefined;
+  }
+
+  if (this.server)
+  {
+    const server = this.server;
+    /* close() reports an error when the server never started listening; we don't care */
+    await new Promise((resolve) => server.close(() => resolve()));
+    this.server = undefined;
+  }
+
+  if (this.socketPath)
+  {
+    await removeStaleSocket(this.socketPath).catch(() => {}); /* in use means it isn't ours any more */
+    this.socketPath = undefined;
+  }
+
+  if (this.authenticate)
+  {
+    this.authenticate.close();
+    this.authenticate = undefined;
+  }
+
+  if (this.auditTrail)
+  {
+    await this.auditTrail.close();
+    this.auditTrail = undefined;
+  }
+
+  if (this.ci)
+  {
+    this.ci.restore();
+    await this.ci.close();
+    this.ci = undefined;
+  }
+}
+
+/**
+ * Add a record to the audit trail and emit it as the audit event on the console interceptor.
+ *
+ * @param {object}      client          the client the record is about; undefined for the stdio REPL
+ * @param {string}      type            what happened: login, loginFailure, logout, command or eval
+ * @param {object}      details         extra properties for the record, e.g. input and result
+ */
+TelnetConsole.prototype.audit = function TelnetConsole$$audit(client, type, details)
+{
+  const record = Object.assign({
+    time:          new Date().toISOString(),
+    type,
+    id:            client ? client.id : 'stdio',
+    login:         client ? client.login : os.userInfo().username,
+    remoteAddress: client ? client.input.remoteAddress : undefined,
+  }, details);
+
+  if (this.auditTrail)
+    this.auditTrail.write(record);
+  if (this.ci)
+    this.ci.emit('audit', record);
+}
+
+/**
+ * Create and start a TelnetConsole; see the TelnetConsole constructor for arguments.
+ *
+ * @returns the instance of ConsoleInterceptor that this daemon is using; can be used to reestablish interception when interrupted.
+ *          Use stop() to shut the daemon down again.
+ */
+exports.start = function tc$$start(options, ...replHelpers)
+{
+  const tc = new TelnetConsole(options, ...replHelpers);
+
+  startedConsoles.push(tc);
+  return tc.start();
+}
+
+/**
+ * Stop every TelnetConsole started by start().
+ *
+ * @returns a Promise which resolves once all of the telnet servers have closed.
+ */
+exports.stop = async function tc$$stop()
+{
+  await Promise.all(startedConsoles.splice(0).map((tc) => tc.stop()));
+}
+
+/**
+ * Decide whether to send colours to a client: the client's choice (see the format command) if it has
+ * made one, otherwise yes when colours are enabled and the client looks like a real terminal, which
+ * we take to mean that it told us its window size.
+ */
+function clientUsesColors(client)
+{
+  if (typeof client.colors === 'boolean')
+    return client.colors;
+
+  return Boolean(client.tc.options.useColors && client.columns);
+}
+
+/**
+ * Write a captured log entry to the given client, formatted according to client.logFormat.
  */
 function writeLogEntry(client, entry)
 {
@@ -129,15 +427,32 @@ function writeLogEntry(client, entry)
 
   try
   {
+    const colors = clientUsesColors(client);
+    const { before, after } = formatLogEntry(entry, client.logFormat, { colors });
+    var inspectedArguments = entry.inspectedArguments;
+
+    if (entry.table && client.columns) /* lay console.table() out again to fit this client's terminal */
+    {
+      const pad = '  '.repeat(entry.groupDepth || 0);
+      const table = renderTable(entry.table, client.columns - pad.length - 1);
+      inspectedArguments = [ (before ? '\n' : '') + pad + table.replace(/\n/g, '\n' + pad) ];
+    }
+
     client.write('\x1b[0G\x1b[0J'); /* clear from start of current line to end of display */
-    for (let i = 0; i < entry.inspectedArguments.length; i++)
+    if (before)
+      client.output.write(before);
+    for (let i = 0; i < inspectedArguments.length; i++)
     {
+      let text = inspectedArguments[i];
+
       /* prefer low memory footprint over fast i/o... (help me Nagle Timer, you're my only hope) */
       if (i)
         client.output.write(' ');
-      client.output.write(entry.inspectedArguments[i].replace(/([^\r])\n/g, "$1\r\n"));
+      if (!colors)
+        text = stripColors(text);
+      client.output.write(text.replace(/([^\r])\n/g, "$1\r\n"));
     }
-    client.output.write('\r\n');
+    client.output.write(after + '\r\n');
     /*
      *  let argv = Array.from(entry.arguments);
      *  argv.push('\r');
@@ -158,16 +473,68 @@ function writeLogEntry(client, entry)
   }
 }
 
+/**
+ * Write a log entry for a process event, e.g. uncaughtException, to the given client, under a banner
+ * which makes it stand out from ordinary log messages.
+ */
+function writeAlert(client, entry)
+{
+  const banner = `*** ${entry.level} in ${path.basename(process.argv[1] || process.argv0)} pid ${process.pid} ***`;
+
+  client.write('\x1b[0G\x1b[0J'); /* clear from start of current line to end of display */
+  client.output.write('\x07' + (clientUsesColors(client) ? `\x1b[7m${banner}\x1b[27m` : banner) + '\r\n');
+  writeLogEntry(client, entry);
+}
+
+/**
+ * Show an alert, which is a function that writes it, in the given client's session. While a command like
+ * top or replay has taken the session over, client.heldAlerts is an array, and alerts are held there until
+ * the session is given back, since writing into a full-screen display or a playback would scramble it.
+ */
+function showAlert(client, alert)
+{
+  if (client.heldAlerts)
+  {
+    client.heldAlerts.push(alert);
+    return;
+  }
+
+  beforeWriteHandler(client);
+  alert();
+  afterWriteHandler(client);
+}
+
+/**
+ * Tell every logged-in session, and listeners for the watchdog event, that a watchdog alert was raised or
+ * cleared. Alerts are written like wall messages, whether or not the session is displaying log messages.
+ */
+function watchdogAlert(tc, ev)
+{
+  const banner = `*** watchdog: ${ev.message} in ${path.basename(process.argv[1] || process.argv0)} pid ${process.pid} ***`;
+
+  tc.ci.emit('watchdog', ev);
+  for (let client of tc.registry)
+  {
+    if (!client.repl)
+      continue;
+    showAlert(client, () => {
+      client.write('\x1b[0G\x1b[0J'); /* clear from start of current line to end of display */
+      client.output.write((ev.state === 'alert' ? '\x07' : '') + (clientUsesColors(client) ? `\x1b[7m${banner}\x1b[27m` : banner) + '\r\n');
+    });
+  }
+}
+
 /**
  * Handle a new client.
  *
  * @param {object}      connection      the connection handle (implementation detail:
  *                                      we rely on this being the output socket)
- * @param {object}      ci              console-interceptor handle
- * @param {registry}    registry        per-server registry which contains known clients
+ * @param {object}      tc              the TelnetConsole which accepted the connection
  */
-async function handleNewClient(client, ci, options)
+async function handleNewClient(client, tc)
 {
+  const options = tc.options;
+
   /* Disabled in favour of manual inspection until we can figure out how
    * to make the built-in console methods go through client.write(?) properly,
    * so that LF can be transformed to CRLF
@@ -180,16 +547,27 @@ async function handleNewClient(client, ci, options)
    */
   function handleConsoleEvents(ev, _eventName)
   {
+    if (ev?.alert) /* process events are shown regardless of log settings, once logged in */
+    {
+      if (client.repl)
+        showAlert(client, () => writeAlert(client, ev));
+      return;
+    }
     if (client.logOff)
       return;
+    if (client.logFilter && ev?.inspectedArguments && !matchLogFilter(client.logFilter, ev))
+      return;
     beforeWriteHandler(client);
     if (ev?.inspectedArguments) /* 'any' handler, handling log-type event */
       writeLogEntry(client, ev);
     afterWriteHandler(client);
   }
 
+  if (!checkPeer(client, tc))
+    return;
+
   handleNewClient.serial = (handleNewClient.serial || 0) + 1;
-  client.id = `${handleNewClient.serial}-${client.input.remotePort}`;
+  client.id = `${handleNewClient.serial}-${client.input.remotePort || 'local'}`;
 
   /**
    * Close a client connection (if still open) and cleanup resources
@@ -202,10 +580,15 @@ async function handleNewClient(client, ci, options)
     client.off('close', cleanup);
 
     client.destroy();
+    if (client.repl)
+      tc.audit(client, 'logout');
+    if (client.recorder)
+      client.recorder.close();
+    untrace(tc, (spy) => spy.client === client);
 
-    idx = registry.indexOf(client);
+    idx = tc.registry.indexOf(client);
     if (idx !== -1)
-      registry.splice(idx, 1);
+      tc.registry.splice(idx, 1);
     else
       console.warn(' * Warning: cleanup could not locate client in registry!');
 
@@ -219,10 +602,12 @@ async function handleNewClient(client, ci, options)
   client.on('error', () => client.cleanup());
   client.on('close', () => client.cleanup());
 
-  registry.push(client);
-  client.ci = ci;
+  tc.registry.push(client);
+  client.tc = tc;
+  client.ci = tc.ci;
   client.ci.on('any', handleConsoleEvents);
   client.logBuffer = client.ci.buffer;
+  client.logFormat = options.logFormat;
   client.startTime = new Date();
 
   try
@@ -235,34 +620,22 @@ async function handleNewClient(client, ci, options)
     client.do.transmit_binary();            /* make unicode characters work properly */
     client.do.window_size();                /* emit 'window size' events and initial terminal dimensions  */
 
-    if (options.users)
+    if ((client.login = certificateLogin(client, options)))
+      client.write(`Welcome, ${client.login}! `);
+    else if (tc.authenticate)
     {
-      let login, password;
-      let tries = 0;
-      let authFun;
-
-      if (typeof options.users === 'function')
-        authFun = options.users;
-      else
-        authFun = (login, password) => options.users[login] === password;
-
       client.logOff=true;
-      do
-      {
-        client.write('login: ');
-        login = await readln(client, true);
-        client.write('password: ');
-        password = await readln(client, false);
-        client.write('\r\n');
-        await sleepMs(Math.min(5000, 100 + 50 * Math.pow(4, tries++)));
-      } while (login.length && authFun(login, password) !== true);
-
-      client.login = login;
+      if (!await loginClient(client, tc))
+        return;
       client.write(`Welcome, ${client.login}! `);
     }
+    client.role = lookupRole(tc, client);
+    tc.audit(client, 'login', { role: client.role && client.role.name });
+    if (options.recordDir)
+      startRecording(client, tc);
     client.logOff = options.logOff;
     client.write(`Connected to ${process.argv[1]} on ${os.hostname()}; load=${os.loadavg()[0]}, running ${humanFriendlyTimeInterval(1e3 * process.uptime())}\n`);
-    client.repl = require('repl').start(leafMerge(options, { socket: client, eval: evalWrapperFactory(options, client) }));
+    client.repl = require('repl').start(leafMerge(options, { socket: client, eval: evalWrapperFactory(tc, client) }));
     debug('telnet-console:repl')('started repl for client', client.id);
 
     if (options.histfile && client.repl.setupHistory)
@@ -276,6 +649,10 @@ async function handleNewClient(client, ci, options)
       try { client.end();                 } catch(e){};
     });
     client.repl.on('SIGTSTP', () => { }); /* disable daemon backgrounding on ^Z */
+
+    /* .load and .editor feed evalWrapper, which checks the role, but .save writes any file we can write */
+    if (!mayEvaluate(client))
+      delete client.repl.commands.save;
   }
   catch(error)
   {
@@ -284,11 +661,309 @@ async function handleNewClient(client, ci, options)
   }
 }
 
+/**
+ * Prompt a client for login and password until it authenticates, setting client.login. Clients
+ * which run out of attempts or time, or whose address is locked out, are disconnected. Each
+ * failure is announced with the loginFailure event on the console interceptor, and each login or
+ * address which becomes locked out with the lockout event.
+ *
+ * @returns true when the client has logged in
+ */
+async function loginClient(client, tc)
+{
+  const options = tc.options;
+  const throttle = tc.loginThrottle;
+  const remoteAddress = client.input.remoteAddress;
+  const ipKey = remoteAddress && `ip:${remoteAddress}`;
+  var login, password;
+  var tries = 0;
+  var done = false;
+  var timer;
+
+  function fail(reason)
+  {
+    debug('telnet-console:auth')('login failure', reason, login, remoteAddress);
+    tc.ci.emit('loginFailure', { id: client.id, login, remoteAddress, reason });
+    tc.audit(client, 'loginFailure', { login, reason });
+  }
+
+  function disconnect(message)
+  {
+    done = true;
+    clearTimeout(timer);
+    try { client.write(`\r\n${message}\r\n`); } catch(e){};
+    try { client.end();                        } catch(e){};
+    client.cleanup();
+  }
+
+  function recordFailure(key)
+  {
+    if (key && throttle.recordFailure(key))
+    {
+      debug('telnet-console:auth')('locked out', key);
+      tc.ci.emit('lockout', { [key.startsWith('ip:') ? 'remoteAddress' : 'login']: key.replace(/^[a-z]+:/, '') });
+    }
+  }
+
+  if (ipKey && throttle.isLockedOut(ipKey))
+  {
+    fail('address locked out');
+    disconnect('Too many login failures; try again later');
+    return false;
+  }
+
+  client.on('close', () => {
+    done = true;
+    clearTimeout(timer);
+  });
+
+  if (options.loginTimeout)
+  {
+    timer = setTimeout(() => {
+      fail('timeout');
+      disconnect('Login timed out');
+    }, options.loginTimeout * 1000);
+  }
+
+  while (!done)
+  {
+    client.write('login: ');
+    login = await readln(client, true);
+    if (done)
+      break;
+    if (!login.length)
+      continue;
+    client.write('password: ');
+    password = await readln(client, false);
+    client.write('\r\n');
+    if (done)
+      break;
+
+    if (throttle.isLockedOut(`login:${login}`))
+      fail('login locked out');
+    else if (await tc.authenticate(login, password, client) === true)
+    {
+      if (done)
+        break;
+      clearTimeout(timer);
+      throttle.clear(`login:${login}`);
+      client.login = login;
+      return true;
+    }
+    else
+      fail('login incorrect');
+
+    if (done)
+      break;
+    recordFailure(ipKey);
+    recordFailure(`login:${login}`);
+    await sleepMs(Math.min(5000, 100 + 50 * Math.pow(4, tries++)));
+
+    if (options.loginAttempts && tries >= options.loginAttempts)
+      disconnect('Too many login failures');
+    else if (ipKey && throttle.isLockedOut(ipKey))
+      disconnect('Too many login failures; try again later');
+  }
+
+  return false;
+}
+
+/**
+ * Build the options for tls.createServer() from our own options, reading the key and certificate files.
+ */
+function tlsOptionsFactory(options)
+{
+  const readFile = (filename) => fs.readFileSync(expandPath(filename));
+  const tlsOptions = {
+    key:                readFile(options.tlsKey),
+    cert:               readFile(options.tlsCert),
+    passphrase:         options.tlsPassphrase,
+    requestCert:        Boolean(options.tlsClientCert),
+    rejectUnauthorized: Boolean(options.tlsClientCert),
+  };
+
+  if (options.tlsCa)
+    tlsOptions.ca = [].concat(options.tlsCa).map(readFile);
+
+  return tlsOptions;
+}
+
+/**
+ * Work out the login for a client which presented a verified client certificate, according to the
+ * tlsLogin option.
+ *
+ * @returns the login, or undefined when the client must log in some other way
+ */
+function certificateLogin(client, options)
+{
+  var certificate;
+
+  if (!options.tlsClientCert || !client.input.authorized)
+    return undefined;
+
+  certificate = client.input.getPeerCertificate();
+  if (typeof options.tlsLogin === 'function')
+    return options.tlsLogin(certificate) || undefined;
+
+  return (certificate.subject && certificate.subject[options.tlsLogin]) || undefined;
+}
+
+/**
+ * Decide whether a new client may connect, based on the allow and deny options. This happens before
+ * any telnet negotiation. Refused clients are sent a short message, disconnected, and announced with
+ * the reject event on the console interceptor. Clients on unix domain sockets have no address and
+ * are always accepted; filesystem permissions control who can reach those.
+ *
+ * @returns true if the client may proceed
+ */
+function checkPeer(client, tc)
+{
+  const remoteAddress = client.input.remoteAddress;
+
+  if (!remoteAddress || tc.isAddressAllowed(remoteAddress))
+    return true;
+
+  debug('telnet-console:net')('rejected connection from', remoteAddress);
+  client.on('error', () => client.destroy());
+  try
+  {
+    client.output.end('Connection refused\r\n');
+  }
+  catch(error)
+  {
+    client.destroy();
+  }
+  tc.ci.emit('reject', { remoteAddress, remotePort: client.input.remotePort, reason: 'address not allowed' });
+
+  return false;
+}
+
+/**
+ * Record everything written to a client in an asciicast v2 file in options.recordDir, including log
+ * lines, until the client disconnects. The filename is stored in client.recording.
+ */
+function startRecording(client, tc)
+{
+  const output = client.output;
+  const write = output.write;
+  const filename = path.join(expandPath(tc.options.recordDir), `${new Date().toISOString().replace(/[:.]/g, '-')}-${client.id}.cast`);
+  const recorder = client.recorder = new SessionRecorder(filename, {
+    width:  client.columns || 80,
+    height: client.rows || 24,
+    title:  `${client.login ? client.login + '@' : ''}${client.input.remoteAddress || 'local'} on ${os.hostname()}`,
+  });
+
+  client.recording = filename;
+  output.write = function tc$$recordingWrite(chunk)
+  {
+    recorder.output(chunk);
+    return write.apply(this, arguments);
+  }
+  client.on('resize', () => recorder.resize(client.columns, client.rows));
+}
+
+/**
+ * Take a client's session over from its REPL, e.g. to play something back or to draw a full-screen
+ * display. Until the returned function is called, keystrokes are passed to onData instead of the
+ * REPL, log messages are not displayed, and alerts are held, to be shown when the session is given back.
+ *
+ * @param {object}      client          the client whose session to take over
+ * @param {function}    onData          function which receives keystrokes (Buffers)
+ *
+ * @returns a function which gives the session back to the REPL
+ */
+function takeOverSession(client, onData)
+{
+  const initialLogOff = client.logOff;
+  const backup = {
+    data:     client.listeners('data'),
+    keypress: client.listeners('keypress'),
+  };
+
+  client.removeAllListeners('data');
+  client.removeAllListeners('keypress');
+  client.on('data', onData);
+  client.logOff = true;
+  client.heldAlerts = [];
+
+  return function giveBack()
+  {
+    const heldAlerts = client.heldAlerts;
+
+    client.off('data', onData);
+    backup.data    .forEach(fun => client.on('data',     fun));
+    backup.keypress.forEach(fun => client.on('keypress', fun));
+    client.logOff = initialLogOff;
+    client.heldAlerts = undefined;
+    heldAlerts.forEach((alert) => alert());
+  }
+}
+
+/**
+ * Work out which role applies to a client, according to the roles, userRoles and defaultRole
+ * options. A role name which isn't in the roles option gets a role which allows nothing, so
+ * that typos fail closed.
+ *
+ * @returns the role object, or undefined when the client is unrestricted
+ */
+function lookupRole(tc, client)
+{
+  const options = tc.options;
+  var roleName;
+
+  if (typeof options.userRoles === 'function')
+    roleName = options.userRoles(client.login, client);
+  else if (options.userRoles && client.login !== undefined && options.userRoles.hasOwnProperty(client.login))
+    roleName = options.userRoles[client.login];
+  if (roleName === undefined)
+    roleName = options.defaultRole;
+  if (roleName === undefined)
+    return undefined;
+
+  debug('telnet-console:auth')('client', client.id, 'has role', roleName);
+  if (options.roles && options.roles.hasOwnProperty(roleName))
+    return Object.assign({ name: roleName }, options.roles[roleName]);
+
+  console.warn(` * Warning: unknown role ${roleName} for ${client.login}; denying everything`);
+  return { name: roleName, allow: [], eval: false };
+}
+
+/**
+ * Decide whether a client's role lets it run a command. help is always allowed. Commands marked
+ * with an `evaluates` property run code typed by the user, so they also need permission to evaluate.
+ */
+function mayRunCommand(client, word, command)
+{
+  const role = client && client.role;
+
+  if (!role || word === 'help')
+    return true;
+  if (role.allow && !role.allow.includes(word))
+    return false;
+  if (role.deny && role.deny.includes(word))
+    return false;
+  if (command && command.evaluates && !mayEvaluate(client))
+    return false;
+
+  return true;
+}
+
+/** Decide whether a client's role lets it evaluate free-form JavaScript */
+function mayEvaluate(client)
+{
+  const role = client && client.role;
+
+  return !role || role.eval === true;
+}
+
 /**
  * Create a per-client/repl [stateful] evalWrapper
  */
-function evalWrapperFactory(options, client)
+function evalWrapperFactory(tc, client)
 {
+  const options = tc.options;
+  const commands = tc.commands;
+
   var last;      /* last result from REPL */
   var keep = {}; /* ad-hoc storage for REPL user */
 
@@ -306,6 +981,10 @@ function evalWrapperFactory(options, client)
       let [,firstWord,,rest] = cmd.match(/^(\w*)(\s*)(.*)(\n?)$/);
       let result;
       let prefixHnd = (x) => x;
+      let auditRecord = { input: cmd.replace(/\n$/, ''), result: 'ok' };
+      /* record the attempt before running anything, so that commands which never finish, or which end
+       * the process, are in the audit trail too */
+      let auditAttempt = () => auditRecord.input.trim() && tc.audit(client, auditRecord.command ? 'command' : 'eval', Object.assign({}, auditRecord, { result: 'attempt' }));
 
       if (firstWord === 'keys')
       {
@@ -324,15 +1003,33 @@ function evalWrapperFactory(options, client)
       try
       {
         if (commands && commands.hasOwnProperty(firstWord)) {
-          result = commands[firstWord](rest, client, options);
-          if (typeof result === 'object' && (rest[0] === '.' || rest[0] === '['))
-            result = (myEval(`(x) => x${rest}`))(result);
+          const selector = rest[0] === '.' || rest[0] === '['; /* e.g. stat.memory - evaluated code */
+
+          auditRecord.command = firstWord;
+          if (!mayRunCommand(client, firstWord, commands[firstWord]) || (selector && !mayEvaluate(client)))
+          {
+            result = `permission denied: ${firstWord}`;
+            auditRecord.result = 'denied';
+          }
+          else
+          {
+            auditAttempt();
+            result = commands[firstWord](rest, client, options);
+            if (typeof result === 'object' && selector)
+              result = (myEval(`(x) => x${rest}`))(result);
+          }
+        }
+        else if (!mayEvaluate(client) && !/^\s*$/.test(cmd))
+        {
+          result = 'permission denied: evaluation';
+          auditRecord.result = 'denied';
         }
         else
         {
           let fn;
           if (cmd.match(/^\s+$/))
             cmd='undefined';
+          auditAttempt();
           fn = myEval(`"use strict"; (async (last, keep) => (${cmd}))`);
           result = fn(last, keep);
         }
@@ -340,11 +1037,14 @@ function evalWrapperFactory(options, client)
         if (result instanceof Promise)
           result = await result;
         result = prefixHnd(result);
+        if (auditRecord.input.trim())
+          tc.audit(client, auditRecord.command ? 'command' : 'eval', auditRecord);
         callback(null, result);
         last = result;
       }
       catch(error)
       {
+        tc.audit(client, auditRecord.command ? 'command' : 'eval', Object.assign(auditRecord, { result: 'error', error: String(error && error.message || error) }));
         callback(null, error);
       }
     }
@@ -473,18 +1173,166 @@ function afterWriteHandler(client)
   }
 }
 
-function sleepMs(ms)
+/**
+ * Remove a unix domain socket left behind by a previous run. Only sockets are removed, so that a
+ * mistyped path can't cost anybody their files, and only once connecting to them is refused, so that
+ * a socket another process is still listening on is left alone.
+ *
+ * @returns a Promise which resolves once the socket is gone, or rejects with EADDRINUSE if it is in use
+ */
+function removeStaleSocket(socketPath)
+{
+  try
+  {
+    if (!fs.lstatSync(socketPath).isSocket())
+      return Promise.resolve();
+  }
+  catch(error)
+  {
+    return error.code === 'ENOENT' ? Promise.resolve() : Promise.reject(error);
+  }
+
+  return new Promise((resolve, reject) => {
+    const probe = net.connect(socketPath);
+
+    probe.on('connect', () => {
+      const error = new Error(`${socketPath} is in use by another process`);
+      error.code = 'EADDRINUSE';
+      probe.destroy();
+      reject(error);
+    });
+    probe.on('error', (error) => {
+      if (error.code !== 'ECONNREFUSED')
+        return resolve(); /* let listen() report whatever is wrong */
+      try
+      {
+        fs.unlinkSync(socketPath);
+        debug('telnet-console:net')('removed socket', socketPath);
+      }
+      catch(e)
+      {
+        if (e.code !== 'ENOENT')
+          return reject(e);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Listen on a unix domain socket which is created with mode 0600, so that nobody else can connect
+ * before the socketMode, socketOwner and socketGroup options have been applied.
+ */
+function listenPrivately(server, socketPath)
+{
+  var umask;
+
+  try
+  {
+    umask = process.umask(0o177);
+  }
+  catch(error)
+  {
+    /* worker threads can't change the umask; the socket gets the process' umask */
+  }
+
+  try
+  {
+    server.listen(socketPath); /* the socket is created synchronously, unless this is a cluster worker */
+  }
+  finally
+  {
+    if (umask !== undefined)
+      process.umask(umask);
+  }
+}
+
+/**
+ * Apply the socketMode, socketOwner and socketGroup options to a unix domain socket.
+ */
+function setSocketPermissions(socketPath, options)
+{
+  if (options.socketMode !== undefined)
+    fs.chmodSync(socketPath, typeof options.socketMode === 'string' ? parseInt(options.socketMode, 8) : options.socketMode);
+
+  if (options.socketOwner !== undefined || options.socketGroup !== undefined)
+  {
+    const uid = options.socketOwner === undefined ? -1 : lookupId(options.socketOwner, '/etc/passwd');
+    const gid = options.socketGroup === undefined ? -1 : lookupId(options.socketGroup, '/etc/group');
+    fs.chownSync(socketPath, uid, gid);
+  }
+}
+
+/**
+ * Resolve a user or group name to its numeric id by reading /etc/passwd or /etc/group. Numbers
+ * are returned unchanged.
+ */
+function lookupId(nameOrId, dbFilename)
+{
+  if (typeof nameOrId === 'number' || /^[0-9]+$/.test(nameOrId))
+    return Number(nameOrId);
+
+  for (let line of fs.readFileSync(dbFilename, 'ascii').split('\n'))
+  {
+    let fields = line.split(':');
+    if (fields[0] === nameOrId)
+      return Number(fields[2]);
+  }
+
+  throw new Error(`No such ${dbFilename === '/etc/group' ? 'group' : 'user'}: ${nameOrId}`);
+}
+
+function sleepMs(ms)
 {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-/** Command which lets us toggle live logging state and see previous messages */
+/**
+ * Command which lets us toggle live logging state and see previous messages. Previous messages can be
+ * filtered by count, level, regular expression, source and time; live messages by level, regular
+ * expression and source. See parseLogFilter() for details. log file [filters] shows previous messages
+ * from the first log file instead of the buffer.
+ *
+ * log export <file> saves the buffer to a file, and log import <file> makes this session show previous
+ * messages from such a file instead of the buffer, until log live.
+ */
 function logCommand(arg, client, options)
 {
-  if (arg === 'on')
+  var filter;
+
+  if (arg === 'file' || arg.startsWith('file '))
+    return logFileCommand(arg.slice(4).trim(), client, options);
+  if (arg === 'export' || arg.startsWith('export ') || arg === 'import' || arg.startsWith('import '))
+    return logExportImportCommand(arg.split(/\s+/)[0], arg.slice(6).trim(), client, options);
+  if (arg === 'size' || arg.startsWith('size '))
+    return logSizeCommand(arg.slice(4).trim(), client, options);
+  if (arg === 'live')
+  {
+    client.logBuffer = client.ci.buffer;
+    return 'showing the live log buffer';
+  }
+
+  if (arg === 'on' || arg.startsWith('on '))
   {
+    const filterText = arg.slice(2).trim();
+
+    try
+    {
+      filter = parseLogFilter(filterText);
+    }
+    catch(error)
+    {
+      return `log: ${error.message}`;
+    }
+    if (filter.count !== undefined || filter.since || filter.until)
+      return 'log: counts and times do not apply to live logs';
+    if (filter.sources.length && !options.logSource)
+      return 'log: @source filters need the logSource option';
+
     client.logOff = false;
-    return 'log display enabled';
+    client.logFilter = filterText ? filter : undefined;
+    client.logFilterText = filterText || undefined;
+    return 'log display enabled' + (filterText ? ` for ${filterText}` : '');
   }
   if (arg === 'off')
   {
@@ -492,27 +1340,203 @@ function logCommand(arg, client, options)
     return 'log display disabled';
   }
 
+  try
+  {
+    filter = parseLogFilter(arg);
+  }
+  catch(error)
+  {
+    return `log: ${error.message}`;
+  }
+  /* entries only have sources with logSource, but an imported buffer may come from a process which had it */
+  if (filter.sources.length && !options.logSource && client.logBuffer === client.ci.buffer)
+    return 'log: @source filters need the logSource option';
+
   beforeWriteHandler(client);
-  client.logBuffer.slice(-arg).forEach(entry => writeLogEntry(client, entry));
+  if (filter.count)
+    client.logBuffer.filterLast(filter.count, entry => matchLogFilter(filter, entry)).forEach(entry => writeLogEntry(client, entry));
+  else
+    client.logBuffer.forEach(entry => matchLogFilter(filter, entry) && writeLogEntry(client, entry));
   afterWriteHandler(client);
 }
 
+/**
+ * Show how much the log buffer holds, or change how many entries and bytes it keeps: log size [lines] [bytes].
+ * Bytes may have a k, M or G suffix; 0 means no limit. Shrinking the buffer drops its oldest entries, which
+ * every session loses, so changing the limits needs permission to evaluate.
+ */
+function logSizeCommand(arg, client, options)
+{
+  const buffer = client.ci.buffer;
+  const [ lines, bytes ] = arg.split(/\s+/).filter(Boolean);
+  const units = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+  var match;
+
+  /* the log command is allowed to roles which can't evaluate; they may look at the size, but not change it */
+  if ((lines || bytes) && !mayEvaluate(client))
+    return 'log size: permission denied';
+
+  if (lines)
+  {
+    if (!/^[0-9]+$/.test(lines) || Number(lines) < 1)
+      return `log size: invalid number of lines ${lines}`;
+    options.bufferLines = Number(lines);
+  }
+  if (bytes)
+  {
+    if (!(match = /^([0-9.]+)([kmg]?)b?$/i.exec(bytes)))
+      return `log size: invalid number of bytes ${bytes}`;
+    options.bufferBytes = Math.round(Number(match[1]) * units[match[2].toLowerCase()]);
+  }
+  if (lines || bytes)
+    buffer.resize(options.bufferLines, options.bufferBytes);
+
+  return { entries: buffer.length, bytes: buffer.bytes, bufferLines: buffer.size, bufferBytes: buffer.maxBytes };
+}
+
+/**
+ * Work out the pathname for a file named in a command which reads or writes files, like log export or
+ * heapsnapshot. These commands may be allowed to roles which can't evaluate code, so with options.exportDir
+ * the file must be in that directory, and without it, only clients which may evaluate can name files.
+ *
+ * @returns the full pathname; throws when the file is not allowed
+ */
+function exportPath(client, options, filename)
+{
+  if (options.exportDir)
+    return confinePath(options.exportDir, filename);
+  if (mayEvaluate(client))
+    return path.resolve(expandPath(filename));
+  throw new Error('permission denied; the exportDir option is not set');
+}
+
+/**
+ * Export the log buffer to a file, or import a file exported that way as the buffer which this session's
+ * log command shows.
+ */
+async function logExportImportCommand(verb, filename, client, options)
+{
+  var pathname, json;
+
+  if (!filename)
+    return `log ${verb} requires a filename`;
+
+  try
+  {
+    pathname = exportPath(client, options, filename);
+    if (verb === 'export')
+    {
+      await client.ci.exportBuffer(pathname);
+      return `exported ${client.ci.buffer.length} messages to ${pathname}`;
+    }
+
+    json = await fs.promises.readFile(pathname, 'utf8');
+    try
+    {
+      client.logBuffer = importBuffer(json, options.bufferLines);
+    }
+    catch(error)
+    {
+      return `log import: ${pathname} is not a log export`; /* not error.message, which can quote the file */
+    }
+    return `showing ${client.logBuffer.length} messages from ${pathname}; log live to go back`;
+  }
+  catch(error)
+  {
+    return `log ${verb}: ${error.message}`;
+  }
+}
+
+/**
+ * Show the messages in the first log file, and its rotated files, which match a filter. Without a
+ * count in the filter, only the last bufferLines messages are shown.
+ */
+async function logFileCommand(arg, client, options)
+{
+  const logFile = client.ci.files[0];
+  const entries = [];
+  var filter;
+
+  if (!logFile)
+    return 'log: no log files';
+
+  try
+  {
+    filter = parseLogFilter(arg);
+  }
+  catch(error)
+  {
+    return `log: ${error.message}`;
+  }
+
+  await logFile.read((entry) => {
+    if (!matchLogFilter(filter, entry))
+      return;
+    entries.push(entry);
+    if (entries.length > (filter.count || options.bufferLines))
+      entries.shift();
+  });
+
+  beforeWriteHandler(client);
+  entries.forEach(entry => writeLogEntry(client, entry));
+  afterWriteHandler(client);
+}
+
+/**
+ * Command which shows or changes how log messages are displayed in this session: format <name|template>
+ * picks a format (see log-format.js), and format color on|off|auto turns colours on or off.
+ */
+function formatCommand(arg, client, options)
+{
+  const [ word, value ] = arg.trim().split(/\s+/);
+
+  if (!word)
+  {
+    return {
+      format:   client.logFormat,
+      template: logFormats.hasOwnProperty(client.logFormat) ? logFormats[client.logFormat] : client.logFormat,
+      colors:   clientUsesColors(client),
+      formats:  logFormats,
+    };
+  }
+
+  if (word === 'color' || word === 'colour')
+  {
+    switch (value)
+    {
+      case 'on':   client.colors = true;      break;
+      case 'off':  client.colors = false;     break;
+      case 'auto': client.colors = undefined; break;
+      default:     return `${word} requires one of on, off, auto`;
+    }
+    return `log colours ${clientUsesColors(client) ? 'on' : 'off'}`;
+  }
+
+  client.logFormat = arg.trim();
+  if (!logFormats.hasOwnProperty(client.logFormat) && !client.logFormat.includes('{message}'))
+    client.logFormat += ' {message}';
+
+  return `log format is ${client.logFormat}`;
+}
+
 /** Command which shows who is logged into the daemon */
 function whoCommand(arg, client, options)
 {
-  registry.forEach(c => client.write(`${c.remoteAddress}\t${c.startTime.toLocaleTimeString('en-CA', { hour12: false })}\t${c.login || ''}${c.logOff ? '\toff' : '\ton'}\r\n`));
+  const registry = client.tc.registry;
+
+  registry.forEach(c => client.write(`${c.remoteAddress}\t${c.startTime.toLocaleTimeString('en-CA', { hour12: false })}\t${c.login || ''}${c.logOff ? '\toff' : '\ton'}${!c.logOff && c.logFilterText ? ' ' + c.logFilterText : ''}\r\n`));
   return registry.length + ' clients';
 }
 
 /** Command which allows us to send a message to all other connected users. */
 function wallCommand(arg, client, options)
 {
+  const registry = client.tc.registry;
+
   registry.forEach(c => {
     if (c === client)
       return;
-    beforeWriteHandler(c);
-    c.write(`\x07*\x07*\x07* message from ${client.login ? client.login + '@' : ''}${client.remoteAddress}: ${arg} ***\r\n`)
-    afterWriteHandler(c);
+    showAlert(c, () => c.write(`\x07*\x07*\x07* message from ${client.login ? client.login + '@' : ''}${client.remoteAddress}: ${arg} ***\r\n`));
   });
   return 'message sent to ' + (registry.length - 1) + ' clients';
 }
@@ -526,10 +1550,341 @@ function printCommand(arg, client, options)
   client.output.write(inspected.replace(/([^\r])\n/g, "$1\r\n") + "\r\n");
 }
 
+printCommand.evaluates = true;
+
+/**
+ * Command which plays a recording in options.recordDir back into this session; any key stops the playback.
+ * With no argument, lists the recordings. Files outside of options.recordDir can't be played.
+ */
+async function replayCommand(arg, client, options)
+{
+  const [ filename, speed ] = arg.trim().split(/\s+/);
+  var pathname, giveBack, stopped = false;
+
+  if (!options.recordDir)
+    return 'replay: the recordDir option is not set';
+
+  if (!filename)
+    return fs.readdirSync(expandPath(options.recordDir)).filter((name) => name.endsWith('.cast'));
+
+  try
+  {
+    pathname = confinePath(options.recordDir, filename);
+  }
+  catch(error)
+  {
+    return `replay: ${error.message}`;
+  }
+
+  giveBack = takeOverSession(client, () => { stopped = true });
+  try
+  {
+    client.write('\x1b[0G\x1b[0J'); /* clear from start of current line to end of display */
+    await replay(pathname, (data) => client.output.write(data), { speed: Number(speed) || 1, isStopped: () => stopped });
+  }
+  finally
+  {
+    giveBack();
+  }
+
+  return `end of ${filename}`;
+}
+
+/**
+ * Command which takes the session's screen over with a display of the process' memory, CPU use, event
+ * loop, handles, sessions and log rate, refreshed every N seconds (default 2) until any key is pressed.
+ */
+async function topCommand(arg, client, options)
+{
+  const interval = 1000 * (Number(arg.trim()) || 2);
+  const sampler = new TopSampler();
+  var sample, giveBack, timer, stop;
+  const stopped = new Promise((resolve) => { stop = resolve });
+
+  function draw()
+  {
+    const lines = renderTop(sample, client.columns || 80, client.rows || 24);
+    client.output.write('\x1b[H' + lines.join('\r\n') + '\x1b[J'); /* home, draw, clear the rest of the display */
+  }
+
+  giveBack = takeOverSession(client, () => stop());
+  client.on('resize', draw);
+  client.on('close', stop);
+  try
+  {
+    client.output.write('\x1b[?1049h\x1b[?25l'); /* alternate screen, hide cursor */
+    sample = sampler.sample(client.tc);
+    draw();
+    timer = setInterval(() => { sample = sampler.sample(client.tc); draw(); }, Math.max(interval, 100));
+    await stopped;
+  }
+  finally
+  {
+    clearInterval(timer);
+    sampler.close();
+    client.off('resize', draw);
+    client.off('close', stop);
+    client.output.write('\x1b[?25h\x1b[?1049l'); /* show cursor, main screen */
+    giveBack();
+  }
+}
+
+/**
+ * Command which writes a heap snapshot of this process: heapsnapshot [file]. The process is paused while
+ * the snapshot is taken, which can take a while for big heaps, so nothing can be shown while it runs;
+ * instead, the size of the heap is shown before it starts, as a hint of how long it will take.
+ */
+async function heapsnapshotCommand(arg, client, options)
+{
+  const MB = (heapStatistics().heap.used_heap_size / (1024 * 1024)).toFixed(1);
+  var filename, bytes;
+
+  try
+  {
+    filename = exportPath(client, options, arg.trim() || defaultFilename('Heap', 'heapsnapshot'));
+    client.write('\x1b[0G\x1b[0J'); /* clear from start of current line to end of display */
+    await new Promise((resolve) => client.output.write(`taking heap snapshot of ${MB} MB heap...\r\n`, resolve)); /* flushed */
+    bytes = await writeHeapSnapshot(filename);
+  }
+  catch(error)
+  {
+    return `heapsnapshot: ${error.message}`;
+  }
+
+  return `wrote ${bytes} bytes to ${filename}`;
+}
+
+/**
+ * Command which profiles the CPU use of this process: profile start [interval] starts profiling, sampling
+ * every interval microseconds, and profile stop [file] stops and writes a .cpuprofile file. With no
+ * argument, shows whether a profile is running.
+ */
+async function profileCommand(arg, client, options)
+{
+  const [ verb, value ] = arg.trim().split(/\s+/);
+  const profiler = client.tc.profiler;
+  var filename, samples;
+
+  try
+  {
+    switch (verb)
+    {
+      case '':
+        return profiler.session ? `profiling since ${profiler.started.toLocaleTimeString('en-CA', { hour12: false })}` : 'not profiling';
+      case 'start':
+        await profiler.start(Number(value) || undefined);
+        return 'profiling started';
+      case 'stop':
+        filename = exportPath(client, options, value || defaultFilename('CPU', 'cpuprofile'));
+        samples = await profiler.stop(filename);
+        return `wrote ${samples} samples to ${filename}`;
+      default:
+        return 'profile requires one of start, stop';
+    }
+  }
+  catch(error)
+  {
+    return `profile: ${error.message}`;
+  }
+}
+
+/**
+ * Command which lists what is keeping the event loop alive: handles [type] lists the handles (of one type),
+ * handles track on|off turns tracking of timers and creation stacks on or off, and handles stacks counts the
+ * tracked handles by where they were created, busiest first.
+ */
+function handlesCommand(arg, client, options)
+{
+  const [ verb, value ] = arg.trim().split(/\s+/);
+  const tracker = client.tc.handleTracker;
+  const counts = Object.entries(resourceCounts()).map(([ type, count ]) => `${type} ${count}`).join(', ');
+  var handles, sessions;
+
+  switch (verb)
+  {
+    case 'track':
+      if (value === 'on')
+        tracker.enable();
+      else if (value === 'off')
+        tracker.disable();
+      else if (value)
+        return 'handles track requires one of on, off';
+      return tracker.since ? `tracking handles created since ${tracker.since.toLocaleTimeString('en-CA', { hour12: false })}` : 'not tracking handles';
+    case 'stacks':
+    {
+      const sites = {};
+
+      if (!tracker.since)
+        return 'not tracking handles; use handles track on';
+      for (let info of tracker.resources.values())
+      {
+        const site = `${info.type}\r\n    ${info.stack.join('\r\n    ') || '(no stack)'}`;
+        sites[site] = (sites[site] || 0) + 1;
+      }
+      client.write('\x1b[0G\x1b[0J'); /* clear from start of current line to end of display */
+      for (let [ site, count ] of Object.entries(sites).sort((a, b) => b[1] - a[1]))
+        client.output.write(`${count} ${site}\r\n`);
+      return `${tracker.resources.size} handles tracked`;
+    }
+  }
+
+  /* label the sockets of telnet sessions, since they are always there */
+  sessions = new Map(client.tc.registry.map((c) => [ c.input, `telnet session ${c.id}${c.login ? ' ' + c.login : ''}${c === client ? ' (this one)' : ''}` ]));
+  handles = activeHandles(tracker).filter((handle) => !verb || handle.type === verb);
+
+  client.write('\x1b[0G\x1b[0J'); /* clear from start of current line to end of display */
+  for (let handle of handles)
+  {
+    let label = sessions.get(handle.handle);
+    client.output.write(`${handle.type.padEnd(8)} ${handle.description}${label ? ' [' + label + ']' : ''}${handle.ref ? '' : ' (unref)'}\r\n`);
+    if (handle.stack)
+      client.output.write(handle.stack.map((frame) => `    ${frame}\r\n`).join(''));
+  }
+
+  return `${handles.length} handles; active resources: ${counts || 'none'}${tracker.since ? '' : ' - use handles track on to list timers and show where handles are created'}`;
+}
+
+/**
+ * Command which shows or changes the watchdog: watchdog on|off starts or stops it, and watchdog <setting>
+ * <value> changes a setting, e.g. watchdog delay 500 or watchdog heap 90%. With no argument, shows its status.
+ */
+function watchdogCommand(arg, client, options)
+{
+  const [ verb, value ] = arg.trim().split(/\s+/);
+  const watchdog = client.tc.watchdog;
+
+  try
+  {
+    if (verb === 'on')
+      watchdog.start();
+    else if (verb === 'off')
+      watchdog.stop();
+    else if (verb)
+    {
+      if (value === undefined)
+        return `watchdog ${verb} requires a value`;
+      watchdog.configure({ [verb]: /^[0-9.]+$/.test(value) ? Number(value) : value });
+    }
+  }
+  catch(error)
+  {
+    return `watchdog: ${error.message}`;
+  }
+
+  return watchdog.status();
+}
+
+/** Write a call to a traced function to the session which traced it */
+function writeTrace(client, spy, call)
+{
+  const colors = clientUsesColors(client);
+  const inspect = (value) => util.inspect(value, { colors, depth: 2, breakLength: Infinity, maxArrayLength: 10, maxStringLength: 200 });
+  const args = call.args.map(inspect).join(', ');
+  var outcome;
+
+  if (call.hasOwnProperty('error'))
+    outcome = `${call.async ? 'rejected' : 'threw'} ${call.error instanceof Error ? call.error.name + ': ' + call.error.message : inspect(call.error)}`;
+  else
+    outcome = `${call.async ? 'resolved' : 'returned'} ${inspect(call.result)}`;
+
+  beforeWriteHandler(client);
+  client.write('\x1b[0G\x1b[0J'); /* clear from start of current line to end of display */
+  client.output.write(`trace ${spy.id}: ${spy.expression}(${args}) ${outcome} in ${call.duration.toFixed(3)}ms\r\n`.replace(/([^\r])\n/g, '$1\r\n'));
+  if (call.stack)
+    client.output.write(call.stack.map((frame) => `    ${frame}\r\n`).join(''));
+  afterWriteHandler(client);
+}
+
+/**
+ * Put back the original functions of the spies which match, and forget them.
+ * @returns the spies which were removed
+ */
+function untrace(tc, matches)
+{
+  const removed = tc.spies.filter(matches);
+
+  for (let spy of removed)
+  {
+    tc.spies.splice(tc.spies.indexOf(spy), 1);
+    spy.restored = spy.record.restore();
+  }
+
+  return removed;
+}
+
+/**
+ * Command which traces the function at an object path, e.g. trace db.pool.query: each call is written to
+ * this session, with its arguments, what it returned or threw, and how long it took. trace stack <path>
+ * also writes where each call came from, and trace list lists the traced functions. Functions are
+ * untraced when the session which traced them ends.
+ */
+function traceCommand(arg, client, options)
+{
+  const tc = client.tc;
+  var [ , withStack, expression ] = /^\s*(stack\s+)?(.*?)\s*$/.exec(arg);
+  var where, owner, key, traced;
+
+  if (expression === 'list' && !withStack)
+  {
+    client.write('\x1b[0G\x1b[0J'); /* clear from start of current line to end of display */
+    for (let spy of tc.spies)
+      client.output.write(`${spy.id}: ${spy.expression}${spy.stack ? ' with stacks' : ''} - ${spy.record.calls} calls, traced by ${spy.client.login ? spy.client.login + '@' : ''}${spy.client.id}${spy.client === client ? ' (this session)' : ''}\r\n`);
+    return `${tc.spies.length} functions traced`;
+  }
+  if (!expression)
+    return 'trace requires an object path, e.g. trace db.pool.query, or list';
+
+  try
+  {
+    where = parsePath(expression);
+    owner = where.owner === undefined ? globalThis : options.eval(`(${where.owner})`);
+    key = where.computed ? options.eval(`(${where.key})`) : where.key;
+    if (owner === null || (typeof owner !== 'object' && typeof owner !== 'function'))
+      throw new Error(`${where.owner} is not an object`);
+    if (tc.spies.find((spy) => spy.record.spy === owner[key]))
+      throw new Error(`${expression} is already traced`);
+
+    traceCommand.serial = (traceCommand.serial || 0) + 1;
+    traced = { id: traceCommand.serial, expression, client, stack: Boolean(withStack) };
+    traced.record = traceFunction(owner, key, { stack: traced.stack, onCall: (call) => writeTrace(client, traced, call) });
+  }
+  catch(error)
+  {
+    return `trace: ${error.message}`;
+  }
+
+  tc.spies.push(traced);
+  return `tracing ${expression} as ${traced.id}; untrace ${traced.id} to stop`;
+}
+
+traceCommand.evaluates = true;
+
+/**
+ * Command which stops tracing functions: untrace <id|path> stops tracing one function, untrace all stops
+ * tracing every function, and untrace with no argument stops tracing the functions this session traced.
+ */
+function untraceCommand(arg, client, options)
+{
+  const which = arg.trim();
+  var removed;
+
+  if (which === 'all')
+    removed = untrace(client.tc, () => true);
+  else if (which)
+    removed = untrace(client.tc, (spy) => String(spy.id) === which || spy.expression === which);
+  else
+    removed = untrace(client.tc, (spy) => spy.client === client);
+
+  if (which && which !== 'all' && !removed.length)
+    return `untrace: ${which} is not traced`;
+
+  return removed.map((spy) => `${spy.id}: ${spy.expression} ${spy.restored ? 'untraced' : 'untraced, but not restored; it has been replaced since it was traced'}`);
+}
+
 /** Command to run other commands on an interval, list intervals, and stop them. */
-const timers = [];
 function timerCommand(arg, client, options)
 {
+  const timers = client.tc.timers;
   const argArray = arg.split(' ');
   if (argArray.length === 0)
     return 'timer command requires one of every, list, stop';
@@ -541,7 +1896,7 @@ function timerCommand(arg, client, options)
       return 'timer every requires a time and a command to run';
     const interval = parseInt(argArray.shift());
     const command = argArray.join(' ');
-    const timer = setInterval(() => evalWrapperFactory(options, client)(command, null, null, () => {}), interval * 1000);
+    const timer = setInterval(() => evalWrapperFactory(client.tc, client)(command, null, null, () => {}), interval * 1000);
     return timers.push({ timer, command });;
   }
   else if (usage === 'list')
@@ -587,6 +1942,16 @@ const defaultCommands = {
   debug:        (arg, client, options) => { debugger },
   print:        printCommand,
   timer:        timerCommand,
+  replay:       replayCommand,
+  format:       formatCommand,
+  heap:         heapStatistics,
+  heapsnapshot: heapsnapshotCommand,
+  profile:      profileCommand,
+  top:          topCommand,
+  handles:      handlesCommand,
+  watchdog:     watchdogCommand,
+  trace:        traceCommand,
+  untrace:      untraceCommand,
 };
 
 const defaultHelp = {
@@ -600,9 +1965,19 @@ const defaultHelp = {
   who:          'show who is conneted to this process',
   wall:         'write a message to all connected users',
   stat:         'show os-level statitics about running process',
+  heap:         'show v8 heap statistics, and statistics for each heap space',
+  heapsnapshot: '[file] - write a heap snapshot, for Chrome DevTools, to file; pauses the process while it runs',
+  profile:      'start [interval]|stop [file] - start CPU profiling, sampling every interval microseconds, or stop and write a .cpuprofile to file; no arg=show status',
   raise:        'send a signal to this process',
   flush:        'flush a module from the require cache (potentially very dangerous!!!)',
-  log:          'on|off|N - enable, disable, show last N logs; no arg=show all',
+  log:          'on [filters]|off|[file] [N] [filters]|export <file>|import <file>|live|size [lines] [bytes] - enable (for logs matching filters), disable, show last N logs matching filters, from the log file with file; export the buffer, browse an exported buffer, go back to the live buffer, show or change the buffer size; no arg=show all. Filters: level,...|level+ /regexp/ !/regexp/ @source since <time> until <time>',
   print:        'print argument value to telnet console',
   timer:        'every|list|stop - every <seconds> <command> to run a command on an interval, list timers running, stop timers',
+  replay:       '<file> [speed] - play a recording from recordDir back, any key stops; no arg=list recordings',
+  format:       'default|short|long|elapsed|<template>|color on|off|auto - how to display log messages; no arg=show current format',
+  handles:      '[type]|track on|off|stacks - list what is keeping the event loop alive (servers, sockets, pipes, children, watchers, timers), track timers and where handles are created, or count tracked handles by where they were created',
+  watchdog:     'on|off|interval|delay|heap|rss|clear|repeat <value> - start or stop the watchdog, or change a setting, e.g. "watchdog heap 90%"; no arg=show status',
+  trace:        '[stack] <path>|list - trace calls to the function at path, e.g. db.pool.query, showing arguments, results and durations (and caller stacks) in this session; list traced functions',
+  untrace:      '[id|path|all] - stop tracing a function, or every function; no arg=the functions this session traced',
+  top:          '[seconds] - show memory, CPU, event loop, handles, sessions and log rate, refreshing every few seconds (default 2) until a key is pressed',
 };
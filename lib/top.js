@@ -0,0 +1,198 @@
+/**
+ * @file        top.js
+ *              A top-like display of the running process, for the top command: memory, CPU use, event-loop
+ *              delay and utilization, active handles, connected sessions and the rate at which messages
+ *              are being logged. A TopSampler takes a sample every refresh; renderTop() lays a sample out
+ *              to fit a terminal, with a sparkline of recent samples for each of the trending figures.
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const process = require('process');
+const { monitorEventLoopDelay, performance } = require('perf_hooks');
+const { humanFriendlyTimeInterval } = require('./human-friendly-time-interval');
+const { resourceCounts } = require('./handles');
+
+const sparks = '▁▂▃▄▅▆▇█';
+const MB = 1024 * 1024;
+
+/**
+ * Create a sampler, which measures the process between calls to sample(). Event-loop delay is measured
+ * from the time the sampler is created until close() is called.
+ */
+function TopSampler()
+{
+  this.resolution = 10; /* ms; the histogram's timer fires this often, and its delays include this */
+  this.histogram = monitorEventLoopDelay({ resolution: this.resolution });
+  this.histogram.enable();
+  this.cpu = process.cpuUsage();
+  this.elu = performance.eventLoopUtilization();
+  this.time = process.hrtime.bigint();
+  this.history = { cpu: [], delay: [], heap: [], logRate: [] };
+}
+exports.TopSampler = TopSampler;
+
+/**
+ * Take a sample. Rates are averaged over the time since the last sample was taken.
+ *
+ * @param {object}      tc              the TelnetConsole, for its sessions and log buffer
+ * @returns an object describing the process; see renderTop()
+ */
+TopSampler.prototype.sample = function TopSampler$$sample(tc)
+{
+  const now = process.hrtime.bigint();
+  const elapsedUs = Number(now - this.time) / 1e3;
+  const cpu = process.cpuUsage(this.cpu);
+  const elu = performance.eventLoopUtilization(this.elu);
+  const since = Date.now() - elapsedUs / 1e3;
+  const levels = {};
+  var logged = 0, sample;
+
+  for (let entry of tc.ci.buffer.newestFirst())
+  {
+    if (!entry.date || entry.date.getTime() < since)
+      break;
+    logged++;
+    levels[entry.level] = (levels[entry.level] || 0) + 1;
+  }
+
+  sample = {
+    date:       new Date(),
+    interval:   elapsedUs / 1e6,
+    memory:     process.memoryUsage(),
+    cpu:        elapsedUs ? 100 * (cpu.user + cpu.system) / elapsedUs : 0,
+    cpuUser:    elapsedUs ? 100 * cpu.user / elapsedUs : 0,
+    cpuSystem:  elapsedUs ? 100 * cpu.system / elapsedUs : 0,
+    delay:      { mean: this.delay(this.histogram.mean), p99: this.delay(this.histogram.percentile(99)), max: this.delay(this.histogram.max) },
+    elu:        100 * elu.utilization,
+    handles:    resourceCounts(),
+    logRate:    elapsedUs ? 1e6 * logged / elapsedUs : 0,
+    levels,
+    sessions:   tc.registry.map((client) => ({ address: client.input.remoteAddress || 'local', login: client.login, startTime: client.startTime, logOff: client.logOff })),
+    history:    this.history,
+  };
+  if (!(sample.delay.mean >= 0)) /* NaN until the histogram has recorded something */
+    sample.delay = { mean: 0, p99: 0, max: 0 };
+
+  this.cpu = process.cpuUsage();
+  this.elu = performance.eventLoopUtilization();
+  this.time = now;
+  this.histogram.reset();
+
+  for (let [ name, value ] of [ [ 'cpu', sample.cpu ], [ 'delay', sample.delay.mean ], [ 'heap', sample.memory.heapUsed ], [ 'logRate', sample.logRate ] ])
+  {
+    this.history[name].push(value);
+    if (this.history[name].length > 512)
+      this.history[name].shift();
+  }
+
+  return sample;
+}
+
+/** Convert a delay from the histogram, in ns, to ms beyond the histogram's own timer interval */
+TopSampler.prototype.delay = function TopSampler$$delay(ns)
+{
+  return Math.max(0, ns / 1e6 - this.resolution);
+}
+
+/** Stop measuring event-loop delay */
+TopSampler.prototype.close = function TopSampler$$close()
+{
+  this.histogram.disable();
+}
+
+/** Draw the last width values as a sparkline, scaled so that max (or the biggest value) is a full block */
+function sparkline(values, width, max)
+{
+  values = values.slice(-Math.max(0, width));
+  max = Math.max(max || 0, ...values);
+  return values.map((value) => sparks[max ? Math.min(sparks.length - 1, Math.floor(sparks.length * value / max)) : 0]).join('');
+}
+
+/** Draw a bar width characters wide, filled to fraction (0..1) */
+function bar(fraction, width)
+{
+  const filled = Math.round(Math.min(1, Math.max(0, fraction)) * width);
+  return '[' + '|'.repeat(filled) + ' '.repeat(width - filled) + ']';
+}
+
+/** Lay a list out after a label, in as many lines as it takes to fit width, indenting the lines after the first */
+function wrap(label, items, width)
+{
+  const lines = [];
+  var line = label, first = true;
+
+  for (let item of items.length ? items : [ 'none' ])
+  {
+    if (!first && line.length + item.length + 2 > width)
+    {
+      lines.push(line + ',');
+      line = ' '.repeat(label.length);
+      first = true;
+    }
+    line += (first ? ' ' : ', ') + item;
+    first = false;
+  }
+  lines.push(line);
+
+  return lines;
+}
+
+/** Make a line exactly width characters wide */
+function fit(line, width)
+{
+  return line.length > width ? line.slice(0, width) : line.padEnd(width);
+}
+
+/**
+ * Lay a sample out as a screenful of lines. The figures which change over time are shown with a bar or a
+ * sparkline filling the rest of the line; the sessions are listed in whatever space is left over.
+ *
+ * @param {object}      sample          a sample from TopSampler::sample()
+ * @param {number}      columns         the width of the terminal
+ * @param {number}      rows            the height of the terminal
+ *
+ * @returns an array of at most rows strings, each columns characters wide
+ */
+exports.renderTop = function top$$renderTop(sample, columns, rows)
+{
+  const { memory, history } = sample;
+  const lines = [];
+  const label = (text) => text.padEnd(24);
+  const graphWidth = Math.max(0, columns - 26);
+  const time = sample.date.toLocaleTimeString('en-CA', { hour12: false });
+  const handles = Object.entries(sample.handles).sort((a, b) => b[1] - a[1]);
+  const levels = Object.entries(sample.levels).sort((a, b) => b[1] - a[1]);
+
+  lines.push(`${path.basename(process.argv[1] || process.argv0)} pid ${process.pid} - ${time} up ${humanFriendlyTimeInterval(1e3 * process.uptime())}, load average: ${os.loadavg().map((load) => load.toFixed(2)).join(', ')}`);
+  lines.push('');
+  lines.push(label(`CPU    ${sample.cpu.toFixed(1).padStart(5)}%`) + '  ' + sparkline(history.cpu, graphWidth, 100));
+  lines.push(label(`       user ${sample.cpuUser.toFixed(1)}% sys ${sample.cpuSystem.toFixed(1)}%`));
+  lines.push(label(`Loop   ${sample.elu.toFixed(1).padStart(5)}% busy`) + '  ' + bar(sample.elu / 100, Math.max(0, graphWidth - 2)));
+  lines.push(label(`Delay  ${sample.delay.mean.toFixed(1).padStart(5)}ms`) + '  ' + sparkline(history.delay, graphWidth));
+  lines.push(label(`       p99 ${sample.delay.p99.toFixed(1)}ms max ${sample.delay.max.toFixed(1)}ms`));
+  lines.push(label(`RSS    ${(memory.rss / MB).toFixed(1).padStart(7)} MB`) + '  ' + bar(memory.rss / os.totalmem(), Math.max(0, graphWidth - 2)));
+  lines.push(label(`Heap   ${(memory.heapUsed / MB).toFixed(1).padStart(7)} MB`) + '  ' + sparkline(history.heap, graphWidth, memory.heapTotal));
+  lines.push(label(`       of ${(memory.heapTotal / MB).toFixed(1)} MB, ext ${(memory.external / MB).toFixed(1)} MB`));
+  lines.push(label(`Log    ${sample.logRate.toFixed(1).padStart(7)}/s`) + '  ' + sparkline(history.logRate, graphWidth));
+  lines.push(`       ${levels.length ? levels.map(([ level, count ]) => `${level} ${count}`).join(', ') : 'nothing logged'} in ${sample.interval.toFixed(1)}s`);
+  lines.push(...wrap('Handles', handles.map(([ type, count ]) => `${type} ${count}`), columns));
+  lines.push('');
+  lines.push(`${sample.sessions.length} sessions`);
+
+  for (let session of sample.sessions)
+  {
+    if (lines.length >= rows - 1)
+    {
+      lines[lines.length - 1] = '...';
+      break;
+    }
+    lines.push(`  ${session.address}\t${session.startTime ? session.startTime.toLocaleTimeString('en-CA', { hour12: false }) : ''}\t${session.login || ''}\t${session.logOff ? 'off' : 'on'}`.replace(/\t/g, '  '));
+  }
+
+  return lines.slice(0, rows).map((line) => fit(line, columns));
+}
@@ -0,0 +1,181 @@
+/**
+ * @file        trace.js
+ *              Function tracing, for the trace and untrace commands: a function stored in a property is
+ *              replaced by a spy which calls it, and reports each call - its arguments, what it returned
+ *              or threw, how long it took, and optionally where it was called from. Native promises are
+ *              reported when they settle. The original function is put back when the spy is removed.
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const process = require('process');
+
+const stackFrames = 5; /* frames of caller stack to report */
+
+/**
+ * Split an object path into the expression for the object which holds the function, and the property the
+ * function is in: a.b.c is a.b and 'c', a.b['c'] is a.b and the expression 'c', and a bare name is a
+ * property of the global object.
+ *
+ * @param {string}      expression      the object path, e.g. db.pool.query or handlers['GET /']
+ * @returns { owner, key, computed }, where owner is an expression or undefined for the global object, and
+ *          key is the property name, or an expression to evaluate when computed is true
+ */
+function parsePath(expression)
+{
+  var match, depth = 0;
+
+  expression = expression.trim();
+  if (expression.endsWith(']'))
+  {
+    for (let i = expression.length - 1; i >= 0; i--)
+    {
+      if (expression[i] === ']')
+        depth++;
+      else if (expression[i] === '[' && --depth === 0)
+      {
+        if (!expression.slice(0, i).trim())
+          break;
+        return { owner: expression.slice(0, i).replace(/\?\.$/, ''), key: expression.slice(i + 1, -1), computed: true };
+      }
+    }
+  }
+  else if ((match = /^(.+?)\??\.\s*([A-Za-z_$][\w$]*)$/.exec(expression)))
+    return { owner: match[1], key: match[2], computed: false };
+  else if (/^[A-Za-z_$][\w$]*$/.test(expression))
+    return { owner: undefined, key: expression, computed: false };
+
+  throw new Error(`${expression} is not an object path, like a.b.c or a.b['c']`);
+}
+exports.parsePath = parsePath;
+
+/**
+ * Capture the stack the spy was called from, leaving out node's internals.
+ * @returns an array of frames, like 'at handleRequest (/app/lib/server.js:40:5)'
+ */
+function callerStack(spy)
+{
+  const holder = {};
+  const stackTraceLimit = Error.stackTraceLimit;
+
+  Error.stackTraceLimit = stackFrames + 10;
+  Error.captureStackTrace(holder, spy);
+  Error.stackTraceLimit = stackTraceLimit;
+
+  return String(holder.stack).split('\n').slice(1)
+    .map((line) => line.trim())
+    .filter((line) => !/\(?node:/.test(line))
+    .slice(0, stackFrames);
+}
+
+/**
+ * Replace the function in owner[key] with a spy. The spy behaves like the function - this, new, arguments,
+ * return values and exceptions all pass through - and reports each call to onCall with
+ * { args, result, error, async, duration, stack }, where result or error is what the function returned or
+ * threw (or what its promise resolved or rejected with, when async is true), duration is in ms, and stack
+ * is the caller stack, when asked for. Errors thrown by onCall are ignored, and calls made from inside
+ * onCall are not reported.
+ *
+ * @param {object}      owner           the object holding the function
+ * @param {string}      key             the property holding the function
+ * @param {object}      options         includes
+ *                                      - onCall: function which is called with each call
+ *                                      - stack:  true to capture caller stacks
+ *
+ * @returns the spy record: { spy, original, calls, restore() }, where restore() puts the original back
+ *          and returns false if the property no longer holds the spy, in which case it is left alone
+ */
+exports.traceFunction = function trace$$traceFunction(owner, key, options)
+{
+  const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+  const original = owner[key];
+  const record = { original, calls: 0 };
+  var reporting = false;
+
+  if (typeof original !== 'function')
+    throw new Error(`${String(key)} is not a function`);
+  if (descriptor && (descriptor.get || descriptor.set))
+    throw new Error(`${String(key)} is an accessor property`);
+  if (descriptor && !descriptor.writable && !descriptor.configurable)
+    throw new Error(`${String(key)} is read-only`);
+
+  function report(call, start)
+  {
+    if (reporting)
+      return;
+    call.duration = Number(process.hrtime.bigint() - start) / 1e6;
+    reporting = true;
+    try
+    {
+      options.onCall(call);
+    }
+    catch(error)
+    {
+      /* tracing must not break the traced program */
+    }
+    finally
+    {
+      reporting = false;
+    }
+  }
+
+  function spy(...args)
+  {
+    const call = { args, stack: options.stack && !reporting ? callerStack(spy) : undefined };
+    const start = process.hrtime.bigint();
+    var result;
+
+    record.calls++;
+    try
+    {
+      result = new.target ? Reflect.construct(original, args, new.target) : original.apply(this, args);
+    }
+    catch(error)
+    {
+      report(Object.assign(call, { error }), start);
+      throw error;
+    }
+
+    /* Native promises are reported when they settle. Watching one would mark it as handled, so the
+     * caller gets a promise which follows it instead; rejections which nobody handles still raise
+     * unhandledRejection. Other thenables, which may be lazy, and Promise subclasses are left alone.
+     */
+    if (result instanceof Promise && Object.getPrototypeOf(result) === Promise.prototype)
+    {
+      return result.then((value) => {
+        report(Object.assign(call, { result: value, async: true }), start);
+        return value;
+      }, (error) => {
+        report(Object.assign(call, { error, async: true }), start);
+        throw error;
+      });
+    }
+
+    report(Object.assign(call, { result }), start);
+    return result;
+  }
+
+  Object.defineProperty(spy, 'name', { value: original.name });
+  Object.defineProperty(spy, 'length', { value: original.length });
+  if (original.prototype)
+    spy.prototype = original.prototype;
+  Object.setPrototypeOf(spy, Object.getPrototypeOf(original));
+
+  Object.defineProperty(owner, key, Object.assign({ writable: true, enumerable: true, configurable: true }, descriptor, { value: spy }));
+  record.spy = spy;
+
+  record.restore = function restore()
+  {
+    if (owner[key] !== spy)
+      return false;
+    if (descriptor)
+      Object.defineProperty(owner, key, descriptor);
+    else
+      delete owner[key]; /* the function was inherited */
+    return true;
+  }
+
+  return record;
+}
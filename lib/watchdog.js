@@ -0,0 +1,216 @@
+/**
+ * @file        watchdog.js
+ *              A watchdog which samples the process' event-loop delay, heap and RSS every few seconds, and
+ *              reports when one of them crosses its threshold, and when it comes back down again. A stalled
+ *              event loop can't be reported until it has started again, so delay alerts arrive after the
+ *              stall, saying how long it was.
+ *
+ *              To keep a value hovering around its threshold from raising alert after alert, an alert is
+ *              only cleared once the value falls below a fraction (clear) of the threshold, and while it is
+ *              raised, it is only repeated every repeat seconds, if at all.
+ *
+ * @author      Wes Garland, wes@distributive.network
+ * @date        Oct 2026
+ */
+'use strict';
+
+const os = require('os');
+const v8 = require('v8');
+const process = require('process');
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const metrics = [ 'delay', 'heap', 'rss' ];
+const resolution = 10; /* ms; the histogram's timer fires this often, and its delays include this */
+const units = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+/**
+ * Parse a threshold: a number, a size like 512M or 2G, or a percentage like 90%. Percentages of heap are of
+ * the heap size limit, and of rss of total memory; numbers between 0 and 1 are taken as fractions the same way.
+ *
+ * @returns the threshold, as a number of ms or bytes, or a fraction; 0 for off
+ */
+function parseThreshold(value, name)
+{
+  var match;
+
+  if (value === false || value === undefined || value === null || value === 'off')
+    return 0;
+  if (typeof value === 'number' && value >= 0)
+    return value;
+  if ((match = /^([0-9.]+)\s*%$/.exec(String(value))))
+    return Number(match[1]) / 100;
+  if ((match = /^([0-9.]+)\s*([kmg]?)b?$/i.exec(String(value))) && !isNaN(match[1]))
+    return Number(match[1]) * units[match[2].toLowerCase()];
+
+  throw new Error(`invalid watchdog ${name} threshold ${value}`);
+}
+
+/**
+ * Create a watchdog. It does nothing until it is started.
+ *
+ * @param {function}    onChange        function which is called with an event when an alert is raised,
+ *                                      repeated or cleared: { metric, state, value, threshold, message, date },
+ *                                      where metric is delay, heap or rss, state is alert or clear, and value
+ *                                      and threshold are in ms (delay) or bytes (heap, rss)
+ */
+function Watchdog(onChange)
+{
+  this.onChange = onChange;
+  this.options = { interval: 5, delay: 0, heap: 0, rss: 0, clear: 0.8, repeat: 0 };
+  this.alerts = {}; /* metric -> { since, last } while raised */
+  this.last = {};   /* metric -> value at the last sample */
+}
+exports.Watchdog = Watchdog;
+
+/**
+ * Change the watchdog's settings. Settings which are not given are left alone.
+ *
+ * @param {object}      options         may include
+ *                                      - interval: seconds between samples; default=5
+ *                                      - delay:    event-loop delay threshold, in ms; 0=off
+ *                                      - heap:     heap used threshold; bytes, size (512M), or % of the heap limit; 0=off
+ *                                      - rss:      resident set size threshold; bytes, size, or % of total memory; 0=off
+ *                                      - clear:    fraction of a threshold which a value must fall below to clear its alert; default=0.8
+ *                                      - repeat:   seconds between repeats of an alert which is still raised; 0=never
+ */
+Watchdog.prototype.configure = function Watchdog$$configure(options)
+{
+  const updated = Object.assign({}, this.options);
+
+  for (let key of Object.keys(options || {}))
+  {
+    if (metrics.includes(key))
+      updated[key] = parseThreshold(options[key], key);
+    else if (key === 'interval' || key === 'clear' || key === 'repeat')
+    {
+      if (!(Number(options[key]) >= 0) || (key === 'interval' && !(Number(options[key]) > 0)))
+        throw new Error(`invalid watchdog ${key} ${options[key]}`);
+      updated[key] = Number(options[key]);
+    }
+    else
+      throw new Error(`unknown watchdog option ${key}`);
+  }
+
+  this.options = updated;
+  for (let metric of metrics)
+  {
+    if (!this.options[metric])
+      delete this.alerts[metric];
+  }
+  if (this.timer) /* pick up the new interval */
+    this.start();
+
+  return this;
+}
+
+/** Start sampling, or restart with the current interval. The watchdog does not keep the process alive. */
+Watchdog.prototype.start = function Watchdog$$start()
+{
+  clearInterval(this.timer);
+  if (!this.histogram)
+  {
+    this.histogram = monitorEventLoopDelay({ resolution });
+    this.histogram.enable();
+  }
+  this.timer = setInterval(() => this.sample(), this.options.interval * 1000);
+  this.timer.unref();
+}
+
+/** Stop sampling, and forget any alerts which are raised */
+Watchdog.prototype.stop = function Watchdog$$stop()
+{
+  clearInterval(this.timer);
+  this.timer = undefined;
+  if (this.histogram)
+    this.histogram.disable();
+  this.histogram = undefined;
+  this.alerts = {};
+  this.last = {};
+}
+
+/** @returns the threshold for a metric in ms or bytes, working out fractions; 0 when it is off */
+Watchdog.prototype.threshold = function Watchdog$$threshold(metric)
+{
+  const threshold = this.options[metric];
+
+  if (metric === 'delay' || threshold > 1)
+    return threshold;
+  if (metric === 'heap')
+    return threshold * v8.getHeapStatistics().heap_size_limit;
+  return threshold * os.totalmem();
+}
+
+/**
+ * Sample the process, and raise, repeat or clear alerts. Called on the interval; may be called at other
+ * times, but the delay is measured since the last sample.
+ */
+Watchdog.prototype.sample = function Watchdog$$sample()
+{
+  const memory = process.memoryUsage();
+  const now = new Date();
+  const values = {
+    delay: this.histogram && this.histogram.count ? Math.max(0, this.histogram.max / 1e6 - resolution) : 0,
+    heap:  memory.heapUsed,
+    rss:   memory.rss,
+  };
+
+  if (this.histogram)
+    this.histogram.reset();
+  this.last = values;
+
+  for (let metric of metrics)
+  {
+    const threshold = this.threshold(metric);
+    const alert = this.alerts[metric];
+    const value = values[metric];
+
+    if (!threshold)
+      continue;
+
+    if (!alert && value > threshold)
+    {
+      this.alerts[metric] = { since: now, last: now };
+      this.report(metric, 'alert', value, threshold, now);
+    }
+    else if (alert && value < threshold * this.options.clear)
+    {
+      delete this.alerts[metric];
+      this.report(metric, 'clear', value, threshold, now);
+    }
+    else if (alert && this.options.repeat && now - alert.last >= this.options.repeat * 1000)
+    {
+      alert.last = now;
+      this.report(metric, 'alert', value, threshold, now);
+    }
+  }
+}
+
+/** Tell onChange about an alert being raised, repeated or cleared */
+Watchdog.prototype.report = function Watchdog$$report(metric, state, value, threshold, date)
+{
+  const format = (n) => metric === 'delay' ? `${Math.round(n)}ms` : `${(n / (1024 * 1024)).toFixed(1)}MB`;
+  const names = { delay: 'event-loop delay', heap: 'heap used', rss: 'RSS' };
+  const message = state === 'alert'
+    ? `${names[metric]} ${format(value)} is over ${format(threshold)}`
+    : `${names[metric]} ${format(value)} is back under ${format(threshold)}`;
+
+  this.onChange({ metric, state, value, threshold, message, date });
+}
+
+/**
+ * @returns the watchdog's settings, whether it is running, and, for each metric, its threshold, its value
+ *          at the last sample, and when its alert was raised, if it is
+ */
+Watchdog.prototype.status = function Watchdog$$status()
+{
+  const status = { running: Boolean(this.timer), interval: this.options.interval, clear: this.options.clear, repeat: this.options.repeat };
+
+  for (let metric of metrics)
+  {
+    status[metric] = { threshold: this.threshold(metric), value: this.last[metric] };
+    if (this.alerts[metric])
+      status[metric].alertSince = this.alerts[metric].since;
+  }
+
+  return status;
+}
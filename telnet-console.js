@@ -5,4 +5,10 @@
  * @date        June 2021
  */
 exports.start = require('./lib/tc-repl').start;
+exports.stop = require('./lib/tc-repl').stop;
+exports.TelnetConsole = require('./lib/tc-repl').TelnetConsole;
+exports.hashPassword = require('./lib/auth').hashPassword;
+exports.replay = require('./lib/session-recorder').replay;
 exports.ConsoleInterceptor = require('./lib/intercept-console').ConsoleInterceptor;
+exports.importBuffer = require('./lib/intercept-console').importBuffer;
+exports.createLogStream = require('./lib/logger-adapters').createLogStream;